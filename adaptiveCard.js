@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+
+// Adaptive Card schema version supported by Teams desktop, web and mobile
+const CARD_VERSION = '1.4';
+
+// Languages of the Teams CodeBlock element, by VS Code language ID
+const CODE_BLOCK_LANGUAGES = {
+    bat: 'DOS',
+    c: 'C',
+    cpp: 'C++',
+    csharp: 'C#',
+    css: 'CSS',
+    go: 'Go',
+    graphql: 'GraphQL',
+    html: 'HTML',
+    java: 'Java',
+    javascript: 'JavaScript',
+    javascriptreact: 'JavaScript',
+    json: 'JSON',
+    jsonc: 'JSON',
+    perl: 'Perl',
+    php: 'PHP',
+    powershell: 'PowerShell',
+    python: 'Python',
+    shellscript: 'Bash',
+    sql: 'SQL',
+    typescript: 'TypeScript',
+    typescriptreact: 'TypeScript',
+    vb: 'Visual Basic',
+    verilog: 'Verilog',
+    vhdl: 'VHDL',
+    xml: 'XML'
+};
+
+/**
+ * Build an Adaptive Card that renders a code snippet
+ * The code goes in a Teams CodeBlock; clients without it, such as Teams mobile, fall back to a
+ * monospace TextBlock whose Markdown is escaped.
+ * @param {Object} snippet - Snippet to render
+ * @param {string} snippet.text - Code text
+ * @param {string} [snippet.languageId] - Language identifier
+ * @param {string} [snippet.fileName] - File name shown in the header
+ * @param {string} [snippet.filePath] - Absolute file path, used for the "Open in VS Code" action
+ * @param {number} [snippet.startLine] - First line of the selection (1-based)
+ * @param {number} [snippet.endLine] - Last line of the selection (1-based)
+ * @param {string} [snippet.repositoryUrl] - Link to the code in its repository
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.includeFileName] - Show the file name in the header (default true)
+ * @param {boolean} [options.includeLanguage] - Show the language in the header (default true)
+ * @returns {Object} - Adaptive Card JSON
+ */
+function buildCodeCard(snippet, options = {}) {
+    const includeFileName = options.includeFileName !== false;
+    const includeLanguage = options.includeLanguage !== false;
+
+    const header = [];
+    if (includeFileName && snippet.fileName) {
+        header.push({
+            type: 'TextBlock',
+            text: snippet.fileName,
+            weight: 'Bolder',
+            wrap: true
+        });
+    }
+
+    const details = [];
+    const lineRange = formatLineRange(snippet.startLine, snippet.endLine);
+    if (lineRange) {
+        details.push(lineRange);
+    }
+    if (includeLanguage && snippet.languageId) {
+        details.push(snippet.languageId);
+    }
+    if (details.length > 0) {
+        header.push({
+            type: 'TextBlock',
+            text: details.join(' · '),
+            isSubtle: true,
+            size: 'Small',
+            spacing: 'None',
+            wrap: true
+        });
+    }
+
+    const body = [...header, {
+        type: 'Container',
+        style: 'emphasis',
+        bleed: true,
+        items: [{
+            type: 'CodeBlock',
+            codeSnippet: snippet.text,
+            language: CODE_BLOCK_LANGUAGES[snippet.languageId] || 'PlainText',
+            startLineNumber: snippet.startLine || 1,
+            fallback: {
+                type: 'TextBlock',
+                text: preserveIndentation(escapeMarkdown(snippet.text)),
+                fontType: 'Monospace',
+                size: 'Small',
+                wrap: true
+            }
+        }]
+    }];
+
+    const actions = [];
+    if (snippet.repositoryUrl) {
+        actions.push({
+            type: 'Action.OpenUrl',
+            title: 'Open in repository',
+            url: snippet.repositoryUrl
+        });
+    }
+    if (snippet.filePath) {
+        actions.push({
+            type: 'Action.OpenUrl',
+            title: 'Open in VS Code',
+            url: createVsCodeFileUrl(snippet.filePath, snippet.startLine)
+        });
+    }
+
+    const card = {
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: CARD_VERSION,
+        body: body
+    };
+    if (actions.length > 0) {
+        card.actions = actions;
+    }
+    return card;
+}
+
+/**
+ * Wrap a card as a Graph chatMessage attachment
+ * @param {Object} card - Adaptive Card JSON
+ * @returns {{ content: string, attachments: Array<Object> }} - Message body content and attachments
+ */
+function createCardAttachment(card) {
+    const id = crypto.randomUUID();
+    return {
+        content: `<attachment id="${id}"></attachment>`,
+        attachments: [{
+            id: id,
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: JSON.stringify(card)
+        }]
+    };
+}
+
+/**
+ * Format a 1-based line range for display
+ * @param {number} [startLine] - First line
+ * @param {number} [endLine] - Last line
+ * @returns {string} - e.g. "Line 4" or "Lines 4–12", empty when unknown
+ */
+function formatLineRange(startLine, endLine) {
+    if (!startLine) {
+        return '';
+    }
+    if (!endLine || endLine === startLine) {
+        return `Line ${startLine}`;
+    }
+    return `Lines ${startLine}–${endLine}`;
+}
+
+/**
+ * Escape the Markdown that TextBlocks render, so code shows as typed
+ * @param {string} text - Code text
+ * @returns {string} - Text with emphasis, link, heading and list markers backslash-escaped
+ */
+function escapeMarkdown(text) {
+    return text
+        .replace(/[\\`*_[\]<>#~]/g, '\\$&')
+        .replace(/^([ \t]*(?:\d+)?)([-+.)])(?=[ \t]|$)/gm, '$1\\$2');
+}
+
+/**
+ * Keep leading whitespace, which Adaptive Card TextBlocks otherwise collapse
+ * @param {string} text - Code text
+ * @returns {string} - Text with leading spaces and tabs made non-breaking
+ */
+function preserveIndentation(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.replace(/^[ \t]+/, indent => indent.replace(/\t/g, '    ').replace(/ /g, '\u00a0')))
+        .join('\n');
+}
+
+/**
+ * Create a vscode:// URL that opens a file at a line
+ * @param {string} filePath - Absolute file path
+ * @param {number} [line] - 1-based line number
+ * @returns {string} - VS Code URL
+ */
+function createVsCodeFileUrl(filePath, line) {
+    const normalizedPath = filePath.replace(/\\/g, '/').replace(/^\/?/, '/');
+    return `vscode://file${encodeURI(normalizedPath)}${line ? `:${line}` : ''}`;
+}
+
+module.exports = {
+    buildCodeCard,
+    createCardAttachment,
+    formatLineRange,
+    escapeMarkdown,
+    createVsCodeFileUrl
+};
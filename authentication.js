@@ -1,82 +1,442 @@
-const { ConfidentialClientApplication } = require('@azure/msal-node');
+const { PublicClientApplication, CryptoProvider } = require('@azure/msal-node');
 const vscode = require('vscode');
 const http = require('http');
-const url = require('url');
 const path = require('path');
 const fs = require('fs');
+const { escapeHtml } = require('./formatting');
+const cloud = require('./cloud');
 
-// Configuration for Microsoft Authentication Library
-const msalConfig = {
-    auth: {
+// Microsoft Entra ID accepts any port on a loopback redirect URI, so the port is picked at sign-in
+const DEFAULT_REDIRECT_URI = 'http://localhost/auth/callback';
 
-    },
-    cache: {
-        cacheLocation: 'localStorage',
-    }
-};
+// Upper bound on the ports tried from a configured range
+const MAX_LOOPBACK_PORTS = 100;
+
+// Closes the callback server when the browser never comes back, e.g. the tab was closed
+const SIGN_IN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Account used everywhere, and the account pinned to a workspace
+const ACTIVE_ACCOUNT_KEY = 'shareToTeams.activeAccount';
+const PINNED_ACCOUNT_KEY = 'shareToTeams.pinnedAccount';
 
-const cca = new ConfidentialClientApplication(msalConfig);
-let tokenCachePath;
+// Serialized MSAL cache in secret storage, and when each cached account last signed in interactively
+const TOKEN_CACHE_SECRET = 'shareToTeams.msalTokenCache';
+const SIGN_IN_TIMES_KEY = 'shareToTeams.signInTimes';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cryptoProvider = new CryptoProvider();
+let pca = null;
+let pcaConfigKey = null;
+let secrets;
+let globalState;
+let workspaceState;
+let migration = Promise.resolve();
+
+// Microsoft Graph scopes by feature. Each feature asks for its own scopes when it is first used,
+// so nobody has to consent to sending messages just to read their contacts.
+// User.Read and offline_access (for refresh tokens) come with every request.
+const BASE_SCOPES = ['User.Read', 'offline_access'];
+const SCOPES = {
+    // Contacts, people you work with and directory search, for the recipient picker
+    contacts: ['Contacts.Read', 'People.Read', 'User.ReadBasic.All'],
+    // Find, create and post to 1:1 and group chats
+    chat: ['Chat.ReadWrite'],
+    // List joined teams and channels and post to them
+    channels: ['Team.ReadBasic.All', 'Channel.ReadBasic.All', 'ChannelMessage.Send'],
+    // Upload oversized snippets to OneDrive
+    files: ['Files.ReadWrite']
+};
 
-// Required scopes for Microsoft Graph
-// Changed from User.ReadBasic.All to Contacts.Read
-// Also includes offline_access to get refresh tokens
-const requiredScopes = ['User.Read', 'Contacts.Read', 'People.Read', 'offline_access'];
+// Errors returned when the tenant only lets administrators consent to a permission
+const ADMIN_CONSENT_ERRORS = /AADSTS(90094|90095)\b/;
+// Error returned when the user hasn't consented to a permission yet but may
+const USER_CONSENT_ERRORS = /AADSTS65001\b/;
 
 /**
  * Initialize the authentication module
  * @param {vscode.ExtensionContext} context - Extension context for storage
  */
 function initialize(context) {
-    tokenCachePath = path.join(context.globalStoragePath, 'msal-token-cache.json');
-    if (!fs.existsSync(context.globalStoragePath)) {
-        fs.mkdirSync(context.globalStoragePath, { recursive: true });
+    secrets = context.secrets;
+    globalState = context.globalState;
+    workspaceState = context.workspaceState;
+    migration = migrateTokenCacheFile(path.join(context.globalStoragePath, 'msal-token-cache.json'));
+}
+
+/**
+ * Move the plain-text token cache written by earlier versions into secret storage and delete the file
+ * @param {string} filePath - Old cache file
+ */
+async function migrateTokenCacheFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return;
     }
     try {
-        if (fs.existsSync(tokenCachePath)) {
-            const cacheData = fs.readFileSync(tokenCachePath, 'utf8');
-            if (cacheData && JSON.parse(cacheData)) {
-                cca.getTokenCache().deserialize(cacheData);
-                console.log('Loaded existing token cache');
-            } else {
-                console.log('Token cache is empty or invalid, starting fresh');
-            }
+        const cacheData = fs.readFileSync(filePath, 'utf8');
+        if (cacheData && JSON.parse(cacheData) && !(await secrets.get(TOKEN_CACHE_SECRET))) {
+            await secrets.store(TOKEN_CACHE_SECRET, cacheData);
+            console.log('Moved token cache to secret storage');
         }
     } catch (error) {
-        console.error('Error loading token cache, clearing cache:', error);
-        if (fs.existsSync(tokenCachePath)) {
-            fs.unlinkSync(tokenCachePath);
+        console.error('Error migrating token cache, discarding it:', error);
+    }
+    try {
+        fs.unlinkSync(filePath);
+    } catch (error) {
+        console.error('Error deleting old token cache file:', error);
+    }
+}
+
+/**
+ * Keeps the MSAL cache in VS Code's secret storage, which is encrypted by the OS keychain
+ * @type {import('@azure/msal-node').ICachePlugin}
+ */
+const cachePlugin = {
+    async beforeCacheAccess(cacheContext) {
+        await migration;
+        try {
+            cacheContext.tokenCache.deserialize((await secrets.get(TOKEN_CACHE_SECRET)) || '{}');
+        } catch (error) {
+            console.error('Error loading token cache, clearing cache:', error);
+            await secrets.delete(TOKEN_CACHE_SECRET);
+        }
+    },
+    async afterCacheAccess(cacheContext) {
+        if (!cacheContext.cacheHasChanged) {
+            return;
+        }
+        try {
+            await secrets.store(TOKEN_CACHE_SECRET, cacheContext.tokenCache.serialize());
+            console.log('Token cache saved');
+        } catch (error) {
+            console.error('Error saving token cache:', error);
+        }
+    }
+};
+
+/**
+ * Check whether a sign-in is older than the configured lifetime
+ * @param {number} signedInAt - Sign-in time in milliseconds
+ * @param {number} lifetimeDays - Value of shareToTeams.cacheLifetime; 0 or less never expires
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} - Whether the account has to sign in again
+ */
+function isSignInExpired(signedInAt, lifetimeDays, now = Date.now()) {
+    return lifetimeDays > 0 && now - signedInAt >= lifetimeDays * DAY_MS;
+}
+
+/**
+ * Record that an account signed in interactively
+ * @param {string} accountId - MSAL home account ID
+ */
+async function recordSignIn(accountId) {
+    const signInTimes = globalState.get(SIGN_IN_TIMES_KEY, {});
+    await globalState.update(SIGN_IN_TIMES_KEY, { ...signInTimes, [accountId]: Date.now() });
+}
+
+/**
+ * Create an error carrying an MSAL-style error code
+ * @param {string} errorCode - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error
+ */
+function createAuthError(errorCode, message) {
+    return Object.assign(new Error(message), { errorCode });
+}
+
+/**
+ * Build the authority URL for a tenant
+ * @param {string} tenant - Tenant ID, domain, "common", "organizations", "consumers" or a full authority URL
+ * @param {string} [loginUrl] - Login endpoint of the cloud; defaults to the one of shareToTeams.cloud
+ * @returns {string} - Authority URL
+ */
+function getAuthority(tenant, loginUrl = cloud.getCloud().loginUrl) {
+    const value = (tenant || '').trim() || 'common';
+    if (/^https:\/\//i.test(value)) {
+        return value.replace(/\/+$/, '');
+    }
+    return `${loginUrl}/${value}`;
+}
+
+/**
+ * Read the app registration settings
+ * @returns {{ clientId: string, authority: string, redirectUri: string, loopbackPorts: Array<number> }} - Sign-in configuration
+ */
+function getAuthConfig() {
+    const config = vscode.workspace.getConfiguration('shareToTeams.auth');
+    return {
+        clientId: (config.get('clientId', '') || '').trim(),
+        authority: getAuthority(config.get('tenant', 'common')),
+        redirectUri: (config.get('redirectUri', DEFAULT_REDIRECT_URI) || '').trim() || DEFAULT_REDIRECT_URI,
+        loopbackPorts: parsePortRange(config.get('loopbackPorts', ''))
+    };
+}
+
+/**
+ * Parse the ports the sign-in callback server may use
+ * @param {string} value - Empty for any free port, a port such as "49200" or a range such as "49200-49210"
+ * @returns {Array<number>} - Ports to try in order, [0] for a free port chosen by the system
+ */
+function parsePortRange(value) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(String(value || ''));
+    if (!match) {
+        if (String(value || '').trim()) {
+            console.error(`Ignoring invalid loopback port range "${value}"`);
+        }
+        return [0];
+    }
+    const first = Number(match[1]);
+    const last = match[2] === undefined ? first : Number(match[2]);
+    if (first < 1 || last > 65535 || last < first) {
+        console.error(`Ignoring invalid loopback port range "${value}"`);
+        return [0];
+    }
+    const ports = [];
+    for (let port = first; port <= Math.min(last, first + MAX_LOOPBACK_PORTS - 1); port++) {
+        ports.push(port);
+    }
+    return ports;
+}
+
+/**
+ * Decide where tokens come from
+ * @returns {string} - "msal" for the extension's own app registration, "vscode" for the account signed in to VS Code
+ */
+function getTokenSource() {
+    const config = vscode.workspace.getConfiguration('shareToTeams.auth');
+    const source = config.get('provider', 'auto');
+    if (source === 'msal' || source === 'vscode') {
+        return source;
+    }
+    return (config.get('clientId', '') || '').trim() ? 'msal' : 'vscode';
+}
+
+/**
+ * Combine the scopes a feature needs with the scopes every token has
+ * @param {Array<string>} [scopes] - Scopes the caller needs, the contacts scopes by default
+ * @returns {Array<string>} - Scopes to request
+ */
+function getRequestScopes(scopes = SCOPES.contacts) {
+    const graphUrl = cloud.getCloud().graphUrl;
+    const requestScopes = [...new Set([...BASE_SCOPES, ...scopes])];
+    if (graphUrl === cloud.getCloud('global').graphUrl) {
+        return requestScopes;
+    }
+    // National clouds name Graph permissions after their own Graph resource
+    return requestScopes.map(scope => scope === 'offline_access' ? scope : `${graphUrl}/${scope}`);
+}
+
+/**
+ * Build the scopes requested from VS Code's Microsoft authentication provider
+ * @param {Array<string>} scopes - Graph scopes to request
+ * @returns {Array<string>} - Graph scopes, with the tenant when one is configured
+ */
+function getVsCodeScopes(scopes) {
+    // The provider refreshes sessions itself
+    scopes = scopes.filter(scope => scope !== 'offline_access');
+    const tenant = (vscode.workspace.getConfiguration('shareToTeams.auth').get('tenant', 'common') || '').trim();
+    if (tenant && tenant !== 'common' && !/^https:\/\//i.test(tenant)) {
+        scopes.push(`VSCODE_TENANT:${tenant}`);
+    }
+    return scopes;
+}
+
+/**
+ * Get a Graph token from the Microsoft account signed in to VS Code, asking to sign in if needed
+ * The session shows up in the Accounts menu.
+ * @param {Array<string>} scopes - Graph scopes to request
+ * @returns {Promise<string>} - Access token
+ */
+async function getVsCodeToken(scopes) {
+    const chosen = getChosenAccount();
+    const session = await vscode.authentication.getSession(cloud.getCloud().vscodeProvider, getVsCodeScopes(scopes), {
+        createIfNone: true,
+        account: chosen ? { id: chosen.id, label: chosen.label } : undefined
+    });
+    console.log(`Got token from the VS Code Microsoft account ${session.account.label}`);
+    return session.accessToken;
+}
+
+/**
+ * Describe an MSAL account the way accounts are stored
+ * @param {Object} account - MSAL account info
+ * @returns {{ source: string, id: string, label: string, name: string|undefined }} - Account
+ */
+function toAccount(account) {
+    return { source: 'msal', id: account.homeAccountId, label: account.username, name: account.name };
+}
+
+/**
+ * Get the accounts in the MSAL cache that belong to the configured cloud
+ * @param {PublicClientApplication} client - MSAL client
+ * @returns {Promise<Array<Object>>} - MSAL account infos
+ */
+async function getCachedAccounts(client) {
+    const loginHosts = cloud.getCloud().loginHosts;
+    const accounts = await client.getTokenCache().getAllAccounts();
+    return accounts.filter(account => loginHosts.includes(account.environment));
+}
+
+/**
+ * List the accounts tokens can come from
+ * @returns {Promise<Array<{ source: string, id: string, label: string, name: string|undefined }>>} - Signed-in accounts
+ */
+async function getAccounts() {
+    if (getTokenSource() === 'vscode') {
+        // getAccounts needs VS Code 1.94; before that only the account of the current session is known
+        if (!vscode.authentication.getAccounts) {
+            const session = await vscode.authentication.getSession(cloud.getCloud().vscodeProvider, getVsCodeScopes(getRequestScopes()), { silent: true });
+            return session ? [{ source: 'vscode', id: session.account.id, label: session.account.label, name: undefined }] : [];
         }
+        const accounts = await vscode.authentication.getAccounts(cloud.getCloud().vscodeProvider);
+        return accounts.map(account => ({ source: 'vscode', id: account.id, label: account.label, name: undefined }));
     }
+    const accounts = await getCachedAccounts(getClient());
+    return accounts.map(toAccount);
 }
 
 /**
- * Save the token cache to disk
+ * Get the account pinned to this workspace or, failing that, the account picked for all workspaces
+ * Accounts of the other token source are ignored.
+ * @returns {{ source: string, id: string, label: string }|undefined} - Chosen account
  */
-async function saveTokenCache() {
+function getChosenAccount() {
+    const source = getTokenSource();
+    const pinned = workspaceState && workspaceState.get(PINNED_ACCOUNT_KEY);
+    if (pinned && pinned.source === source) {
+        return pinned;
+    }
+    const active = globalState && globalState.get(ACTIVE_ACCOUNT_KEY);
+    return active && active.source === source ? active : undefined;
+}
+
+/**
+ * Get the account shares will be sent as, without signing in
+ * @returns {Promise<{ source: string, id: string, label: string }|undefined>} - Account, undefined when nobody is signed in
+ */
+async function getCurrentAccount() {
     try {
-        const cacheData = cca.getTokenCache().serialize();
-        fs.writeFileSync(tokenCachePath, cacheData);
-        console.log('Token cache saved');
+        const chosen = getChosenAccount();
+        if (chosen) {
+            return chosen;
+        }
+        if (getTokenSource() === 'vscode') {
+            const session = await vscode.authentication.getSession(cloud.getCloud().vscodeProvider, getVsCodeScopes(getRequestScopes()), { silent: true });
+            return session ? { source: 'vscode', id: session.account.id, label: session.account.label } : undefined;
+        }
+        return (await getAccounts())[0];
     } catch (error) {
-        console.error('Error saving token cache:', error);
+        console.log('Could not determine the current account:', error.message);
+        return undefined;
+    }
+}
+
+/**
+ * Use an account from now on
+ * @param {{ source: string, id: string, label: string }} account - Account
+ * @param {boolean} pin - Only use it in this workspace
+ */
+async function chooseAccount(account, pin) {
+    const record = { source: account.source, id: account.id, label: account.label };
+    if (pin) {
+        await workspaceState.update(PINNED_ACCOUNT_KEY, record);
+    } else {
+        await globalState.update(ACTIVE_ACCOUNT_KEY, record);
+        // A pin would keep overriding the account just picked
+        await workspaceState.update(PINNED_ACCOUNT_KEY, undefined);
+    }
+}
+
+/**
+ * Forget accounts that were signed out
+ * @param {Array<{ id: string }>} accounts - Signed-out accounts
+ */
+async function forgetAccounts(accounts) {
+    const ids = new Set(accounts.map(account => account.id));
+    const pinned = workspaceState.get(PINNED_ACCOUNT_KEY);
+    if (pinned && ids.has(pinned.id)) {
+        await workspaceState.update(PINNED_ACCOUNT_KEY, undefined);
+    }
+    const active = globalState.get(ACTIVE_ACCOUNT_KEY);
+    if (active && ids.has(active.id)) {
+        await globalState.update(ACTIVE_ACCOUNT_KEY, undefined);
+    }
+    const signInTimes = { ...globalState.get(SIGN_IN_TIMES_KEY, {}) };
+    ids.forEach(id => delete signInTimes[id]);
+    await globalState.update(SIGN_IN_TIMES_KEY, signInTimes);
+}
+
+/**
+ * Get the MSAL client for the configured app registration, recreating it when the settings change
+ * @returns {PublicClientApplication} - MSAL client
+ */
+function getClient() {
+    const authConfig = getAuthConfig();
+    if (!authConfig.clientId) {
+        throw createAuthError('missing_client_id', 'No client ID configured. Set shareToTeams.auth.clientId to the application ID of your Azure app registration.');
+    }
+    const configKey = `${authConfig.clientId}|${authConfig.authority}`;
+    if (!pca || configKey !== pcaConfigKey) {
+        pca = new PublicClientApplication({
+            auth: {
+                clientId: authConfig.clientId,
+                authority: authConfig.authority
+            },
+            cache: {
+                cachePlugin
+            }
+        });
+        pcaConfigKey = configKey;
     }
+    return pca;
+}
+
+/**
+ * Check a cached account against shareToTeams.cacheLifetime
+ * @param {Object} account - MSAL account info
+ * @returns {Promise<boolean>} - Whether the account has to sign in again
+ */
+async function hasSignInExpired(account) {
+    const lifetimeDays = vscode.workspace.getConfiguration('shareToTeams').get('cacheLifetime', 30);
+    const signedInAt = globalState.get(SIGN_IN_TIMES_KEY, {})[account.homeAccountId];
+    if (!signedInAt) {
+        // Accounts cached before sign-in times were recorded start their lifetime now
+        await recordSignIn(account.homeAccountId);
+        return false;
+    }
+    if (!isSignInExpired(signedInAt, lifetimeDays)) {
+        return false;
+    }
+    console.log(`Sign-in of ${account.username} is older than ${lifetimeDays} days, signing in again`);
+    vscode.window.showInformationMessage(`Your Teams sign-in as ${account.username} is older than ${lifetimeDays} days. Please sign in again.`);
+    return true;
 }
 
 /**
  * Try to get token silently from cache
+ * Fails for scopes the user hasn't consented to yet, which then need an interactive step-up.
+ * @param {Array<string>} scopes - Scopes to request
  * @returns {Promise<string|null>} Access token or null if not available
  */
-async function getSilentToken() {
+async function getSilentToken(scopes) {
     try {
-        const accounts = await cca.getTokenCache().getAllAccounts();
-        if (accounts && accounts.length > 0) {
+        const client = getClient();
+        const accounts = await getCachedAccounts(client);
+        const chosen = getChosenAccount();
+        // A chosen account that isn't cached needs an interactive sign-in
+        const account = chosen ? accounts.find(a => a.homeAccountId === chosen.id) : accounts[0];
+        if (account && await hasSignInExpired(account)) {
+            await client.getTokenCache().removeAccount(account);
+            return null;
+        }
+        if (account) {
             const silentRequest = {
-                account: accounts[0],
-                scopes: requiredScopes,
+                account: account,
+                scopes: scopes,
             };
             console.log('Requesting silent token with scopes:', silentRequest.scopes);
-            const tokenResponse = await cca.acquireTokenSilent(silentRequest);
+            const tokenResponse = await client.acquireTokenSilent(silentRequest);
             if (tokenResponse && tokenResponse.accessToken) {
                 console.log('Got token silently from cache with scopes:', tokenResponse.scopes);
                 return tokenResponse.accessToken;
@@ -84,207 +444,621 @@ async function getSilentToken() {
         }
         return null;
     } catch (error) {
+        // Missing consent, expired refresh tokens and the like; signing in again replaces the account's tokens
         console.log('Silent token acquisition failed:', error);
-        if (error.errorCode === 'invalid_grant' || error.errorCode === 'no_tokens_found') {
-            console.log('Clearing invalid token cache');
-            if (fs.existsSync(tokenCachePath)) {
-                fs.unlinkSync(tokenCachePath);
-            }
-        }
         return null;
     }
 }
 
 /**
  * Get access token supporting both organization and personal accounts
+ * Tries the cache first and only asks the user to sign in, or to consent to new scopes, when that fails.
+ * @param {Array<string>} [scopes] - Scopes the caller needs from SCOPES, the contacts scopes by default
  * @returns {Promise<string|null>} Access token or null if authentication fails
  */
-async function getAccessToken() {
+async function getAccessToken(scopes) {
+    const requestScopes = getRequestScopes(scopes);
     try {
+        if (getTokenSource() === 'vscode') {
+            return await getVsCodeToken(requestScopes);
+        }
+
         // First try with existing token
-        const silentToken = await getSilentToken();
+        const silentToken = await getSilentToken(requestScopes);
         if (silentToken) {
             return silentToken;
         }
         
-        console.log('No valid cached token found, proceeding with interactive login');
-        
-        // Use common endpoint to support both personal and work accounts
-        vscode.window.showInformationMessage('Signing in with your Microsoft account...');
-        const token = await loginWithAuthority('https://login.microsoftonline.com/common');
-        if (token) return token;
-        
-        throw new Error('Authentication failed. Please try again or check your account permissions.');
-        
-    } catch (error) {
-        console.error('Authentication error:', error);
-        let errorMessage = `Authentication failed: ${error.message}`;
+        console.log('No valid cached token found, proceeding with interactive login for scopes:', requestScopes);
         
-        if (error.errorCode === 'access_denied') {
-            errorMessage = 'Authentication failed: Access denied. Please check your Microsoft account permissions.';
-        } else if (error.errorCode === 'invalid_grant') {
-            errorMessage = 'Authentication failed: Invalid token. Please sign out and try again.';
-        } else if (error.errorCode === 'consent_required') {
-            errorMessage = 'Authentication failed: Consent required. Please sign out, re-authenticate, and grant consent.';
+        // Stay with the same account when stepping up to more scopes
+        const chosen = getChosenAccount();
+        const current = chosen || await getCurrentAccount();
+        let tokenResponse;
+        try {
+            tokenResponse = await signIn(requestScopes, current && current.label);
+        } catch (error) {
+            if (!isUserConsentError(error)) {
+                throw error;
+            }
+            // The sign-in page can skip consent for an account that is already signed in, so ask for it explicitly
+            console.log('Consent to the requested scopes is missing, signing in again with the consent prompt');
+            tokenResponse = await signIn(requestScopes, current && current.label, 'consent');
+        }
+        const account = toAccount(tokenResponse.account);
+        if (!chosen || chosen.id !== account.id) {
+            // The account picked on the sign-in page is used from now on
+            const pinned = workspaceState.get(PINNED_ACCOUNT_KEY);
+            await chooseAccount(account, Boolean(chosen && pinned && pinned.id === chosen.id));
         }
+        return tokenResponse.accessToken;
         
-        vscode.window.showErrorMessage(errorMessage);
+    } catch (error) {
+        reportAuthError(error, requestScopes);
         return null;
     }
 }
 
 /**
- * Login with a specific authority
- * @param {string} authority - The authority URL to use
- * @returns {Promise<string|null>} - Access token if successful
+ * Check whether signing in failed because only an administrator can consent to the scopes
+ * @param {Error} error - Error from MSAL, VS Code or the callback server
+ * @returns {boolean} - Whether admin consent is needed
+ */
+function isAdminConsentError(error) {
+    return error.errorCode === 'admin_consent_required' || error.subError === 'admin_consent_required' ||
+        ADMIN_CONSENT_ERRORS.test(getErrorDetails(error));
+}
+
+/**
+ * Check whether signing in failed because the user hasn't consented to the scopes yet
+ * Unlike admin consent, the user can grant this themselves on the consent prompt.
+ * @param {Error} error - Error from MSAL, VS Code or the callback server
+ * @returns {boolean} - Whether the user's consent is missing
  */
-async function loginWithAuthority(authority) {
-    // Create a new client with the specified authority
-    const tempConfig = {
-        ...msalConfig,
-        auth: {
-            ...msalConfig.auth,
-            authority: authority
+function isUserConsentError(error) {
+    return error.errorCode === 'consent_required' || error.subError === 'consent_required' ||
+        USER_CONSENT_ERRORS.test(getErrorDetails(error));
+}
+
+/**
+ * Join the codes and messages of an authentication error for matching AADSTS codes
+ * @param {Error} error - Error from MSAL, VS Code or the callback server
+ * @returns {string} - Error details
+ */
+function getErrorDetails(error) {
+    return [error.errorCode, error.subError, error.errorMessage, error.message].filter(Boolean).join(' ');
+}
+
+/**
+ * Explain that an administrator has to approve the scopes, with the details to send them
+ * @param {Array<string>} scopes - Scopes that were requested
+ */
+function showAdminConsentMessage(scopes) {
+    const permissions = scopes.filter(scope => scope !== 'offline_access');
+    const clientId = getTokenSource() === 'msal' ? getAuthConfig().clientId : null;
+    const request = [
+        `Please grant admin consent for ${clientId ? `the app registration ${clientId}` : 'Visual Studio Code'} to use these Microsoft Graph delegated permissions:`,
+        ...permissions.map(permission => `- ${permission}`)
+    ].join('\n');
+    vscode.window.showErrorMessage(
+        `Your organization requires an administrator to approve access to ${permissions.join(', ')}. Ask your Microsoft 365 admin to grant consent, then try again.`,
+        'Copy Request for Admin'
+    ).then(async choice => {
+        if (choice) {
+            await vscode.env.clipboard.writeText(request);
+            vscode.window.showInformationMessage('Consent request copied to clipboard');
         }
-    };
-    
-    const tempCca = new ConfidentialClientApplication(tempConfig);
-    
-    const authCodeUrlParameters = {
-        scopes: requiredScopes,
-        redirectUri: msalConfig.auth.redirectUri,
-        prompt: 'select_account', // Allow user to choose account
-    };
+    });
+}
+
+/**
+ * Tell the user why signing in failed
+ * @param {Error} error - Error from MSAL, VS Code or the callback server
+ * @param {Array<string>} [scopes] - Scopes that were requested
+ */
+function reportAuthError(error, scopes = getRequestScopes()) {
+    if (error.errorCode === 'user_cancelled' || error instanceof vscode.CancellationError) {
+        console.log('Sign-in cancelled');
+        return;
+    }
+    if (error.errorCode === 'missing_client_id') {
+        vscode.window.showErrorMessage(error.message, 'Open Settings').then(choice => {
+            if (choice) {
+                vscode.commands.executeCommand('workbench.action.openSettings', 'shareToTeams.auth');
+            }
+        });
+        return;
+    }
+    console.error('Authentication error:', error);
+    if (isAdminConsentError(error)) {
+        showAdminConsentMessage(scopes);
+        return;
+    }
+    let errorMessage = `Authentication failed: ${error.message}`;
     
-    console.log(`Requesting authorization code with ${authority} and scopes:`, authCodeUrlParameters.scopes);
-    const authUrl = await tempCca.getAuthCodeUrl(authCodeUrlParameters);
-    console.log('Opening authentication URL:', authUrl);
-    await vscode.env.openExternal(vscode.Uri.parse(authUrl));
+    if (error.errorCode === 'access_denied') {
+        errorMessage = 'Authentication failed: Access denied. Please check your Microsoft account permissions.';
+    } else if (error.errorCode === 'invalid_grant') {
+        errorMessage = 'Authentication failed: Invalid token. Please sign out and try again.';
+    } else if (error.errorCode === 'device_code_expired' || error.errorCode === 'expired_token') {
+        errorMessage = 'Authentication failed: The device code expired before sign-in finished. Please try again.';
+    }
     
-    const authCode = await new Promise((resolve, reject) => {
-        const server = http.createServer((req, res) => {
-            const requestUrl = url.parse(req.url, true);
-            if (requestUrl.pathname === '/auth/callback') {
-                const code = requestUrl.query.code;
-                if (code) {
-                    const successHtml = `
-                    <!DOCTYPE html>
-                    <html>
-                    <head>
-                        <title>Authentication Successful</title>
-                        <style>
-                            body { font-family: 'Segoe UI', sans-serif; background-color: #f9f9f9; color: #333; text-align: center; padding: 50px; max-width: 600px; margin: 0 auto; }
-                            .container { background-color: white; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 30px; }
-                            h1 { color: #107C10; margin-bottom: 20px; }
-                            p { margin-bottom: 30px; line-height: 1.5; }
-                            .button { background-color: #0078d4; color: white; border: none; padding: 12px 24px; border-radius: 4px; cursor: pointer; font-size: 16px; text-decoration: none; display: inline-block; }
-                            .button:hover { background-color: #106ebe; }
-                            .icon { font-size: 48px; color: #107C10; margin-bottom: 20px; }
-                        </style>
-                    </head>
-                    <body>
-                        <div class="container">
-                            <div class="icon">✓</div>
-                            <h1>Authentication Successful!</h1>
-                            <p>You've successfully authenticated with Microsoft.</p>
-                            <a href="vscode://Harishri.CodeToTeams" class="button">Return to VS Code</a>
-                        </div>
-                        <script>
-                            setTimeout(() => { window.location.href = "vscode://Harishri.CodeToTeams"; }, 3000);
-                        </script>
-                    </body>
-                    </html>`;
-                    res.writeHead(200, { 'Content-Type': 'text/html' });
-                    res.end(successHtml);
-                    resolve(code);
-                } else {
-                    const errorHtml = `
-                    <!DOCTYPE html>
-                    <html>
-                    <head>
-                        <title>Authentication Failed</title>
-                        <style>
-                            body { font-family: 'Segoe UI', sans-serif; background-color: #f9f9f9; color: #333; text-align: center; padding: 50px; max-width: 600px; margin: 0 auto; }
-                            .container { background-color: white; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 30px; }
-                            h1 { color: #d83b01; margin-bottom: 20px; }
-                            p { margin-bottom: 30px; line-height: 1.5; }
-                            .button { background-color: #0078d4; color: white; border: none; padding: 12px 24px; border-radius: 4px; cursor: pointer; font-size: 16px; text-decoration: none; display: inline-block; }
-                            .button:hover { background-color: #106ebe; }
-                            .icon { font-size: 48px; color: #d83b01; margin-bottom: 20px; }
-                        </style>
-                    </head>
-                    <body>
-                        <div class="container">
-                            <div class="icon">✗</div>
-                            <h1>Authentication Failed</h1>
-                            <p>No authorization code received. Please try again.</p>
-                            <a href="vscode://Harishri.CodeToTeams" class="button">Return to VS Code</a>
-                        </div>
-                        <script>
-                            setTimeout(() => { window.location.href = "vscode://Harishri.CodeToTeams"; }, 3000);
-                        </script>
-                    </body>
-                    </html>`;
-                    res.writeHead(400, { 'Content-Type': 'text/html' });
-                    res.end(errorHtml);
-                    reject(new Error('No authorization code received'));
-                }
-                server.close();
+    vscode.window.showErrorMessage(errorMessage);
+}
+
+/**
+ * Sign in interactively with the configured flow
+ * @param {Array<string>} scopes - Scopes to consent to
+ * @param {string} [loginHint] - Account to suggest
+ * @param {string} [prompt] - Sign-in page prompt for the browser flow, "consent" to ask for consent again
+ * @returns {Promise<Object>} - MSAL token response
+ */
+async function signIn(scopes, loginHint, prompt) {
+    const tokenResponse = getSignInFlow() === 'deviceCode'
+        ? await signInWithDeviceCode(scopes)
+        : await signInInteractively(scopes, loginHint, prompt);
+    if (!tokenResponse || !tokenResponse.accessToken) {
+        throw new Error('Authentication failed. Please try again or check your account permissions.');
+    }
+    await recordSignIn(tokenResponse.account.homeAccountId);
+    return tokenResponse;
+}
+
+/**
+ * Decide how to sign in interactively
+ * The browser's redirect to localhost can't reach an extension host on a remote machine, so remote windows use a device code.
+ * @returns {string} - "browser" or "deviceCode"
+ */
+function getSignInFlow() {
+    const flow = vscode.workspace.getConfiguration('shareToTeams.auth').get('flow', 'auto');
+    if (flow === 'browser' || flow === 'deviceCode') {
+        return flow;
+    }
+    return vscode.env.remoteName ? 'deviceCode' : 'browser';
+}
+
+/**
+ * Show the device code with a button that copies it and opens the verification page
+ * @param {{ userCode: string, verificationUri: string }} deviceCode - Device code response
+ */
+function showDeviceCode(deviceCode) {
+    vscode.window.showInformationMessage(
+        `To sign in to Microsoft Teams, enter the code ${deviceCode.userCode} at ${deviceCode.verificationUri}`,
+        'Copy & Open'
+    ).then(async choice => {
+        if (choice === 'Copy & Open') {
+            await vscode.env.clipboard.writeText(deviceCode.userCode);
+            await vscode.env.openExternal(vscode.Uri.parse(deviceCode.verificationUri));
+        }
+    });
+}
+
+/**
+ * Sign in with the device code flow, polling until the code is entered on any device
+ * @param {Array<string>} scopes - Scopes to consent to
+ * @returns {Promise<Object>} - MSAL token response
+ */
+async function signInWithDeviceCode(scopes) {
+    const client = getClient();
+
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Signing in with your Microsoft account',
+        cancellable: true
+    }, async (progress, cancellationToken) => {
+        const request = {
+            scopes: scopes,
+            deviceCodeCallback: (deviceCode) => {
+                console.log('Received device code, waiting for the user to enter it');
+                progress.report({ message: `Waiting for code ${deviceCode.userCode} to be entered at ${deviceCode.verificationUri}...` });
+                showDeviceCode(deviceCode);
             }
+        };
+        // MSAL checks this flag between polls
+        const cancellation = cancellationToken.onCancellationRequested(() => {
+            request.cancel = true;
         });
-        
-        server.listen(3000, () => {
-            console.log('Local server listening on port 3000 for auth callback...');
+
+        try {
+            console.log('Requesting device code with scopes:', scopes);
+            const tokenResponse = await client.acquireTokenByDeviceCode(request);
+            if (tokenResponse && tokenResponse.accessToken) {
+                console.log('Access token retrieved successfully with scopes:', tokenResponse.scopes);
+                return tokenResponse;
+            }
+            throw new Error('Failed to retrieve access token');
+        } catch (error) {
+            if (error.errorCode === 'device_code_polling_cancelled') {
+                throw createAuthError('user_cancelled', 'Sign-in was cancelled');
+            }
+            throw error;
+        } finally {
+            cancellation.dispose();
+        }
+    });
+}
+
+/**
+ * Sign in through the browser with the authorization code flow and PKCE
+ * @param {Array<string>} scopes - Scopes to consent to
+ * @param {string} [loginHint] - Account to pre-fill on the sign-in page
+ * @param {string} [prompt] - Sign-in page prompt, account selection by default
+ * @returns {Promise<Object>} - MSAL token response
+ */
+async function signInInteractively(scopes, loginHint, prompt = 'select_account') {
+    const client = getClient();
+    const authConfig = getAuthConfig();
+
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Signing in with your Microsoft account. Complete the sign-in in your browser...',
+        cancellable: true
+    }, async (progress, cancellationToken) => {
+        const { verifier, challenge } = await cryptoProvider.generatePkceCodes();
+        const state = cryptoProvider.createNewGuid();
+
+        const { code, redirectUri } = await waitForAuthCode(authConfig.redirectUri, state, {
+            cancellationToken,
+            ports: authConfig.loopbackPorts,
+            // The browser is only opened once the callback server is ready, with its port in the redirect URI
+            onListening: async (boundRedirectUri) => {
+                const authCodeUrlParameters = {
+                    scopes: scopes,
+                    redirectUri: boundRedirectUri,
+                    codeChallenge: challenge,
+                    codeChallengeMethod: 'S256',
+                    state: state,
+                    prompt: prompt,
+                    loginHint: loginHint,
+                };
+                console.log(`Requesting authorization code with ${authConfig.authority} and scopes:`, authCodeUrlParameters.scopes);
+                const authUrl = await client.getAuthCodeUrl(authCodeUrlParameters);
+                console.log('Opening authentication URL:', authUrl);
+                await vscode.env.openExternal(vscode.Uri.parse(authUrl));
+            }
         });
-        
-        server.on('error', (err) => {
-            reject(new Error(`Server error: ${err.message}`));
+
+        console.log(`Acquiring token with authorization code using ${authConfig.authority}, requesting scopes:`, scopes);
+        const tokenResponse = await client.acquireTokenByCode({
+            code: code,
+            scopes: scopes,
+            redirectUri: redirectUri,
+            codeVerifier: verifier,
         });
+
+        if (tokenResponse && tokenResponse.accessToken) {
+            console.log('Access token retrieved successfully with scopes:', tokenResponse.scopes);
+            return tokenResponse;
+        }
+
+        throw new Error('Failed to retrieve access token');
     });
-    
-    console.log(`Acquiring token with authorization code using ${authority}, requesting scopes:`, requiredScopes);
-    const tokenResponse = await tempCca.acquireTokenByCode({
-        code: authCode,
-        scopes: requiredScopes,
-        redirectUri: msalConfig.auth.redirectUri,
+}
+
+/**
+ * Render the page shown in the browser after the sign-in redirect
+ * @param {boolean} success - Whether sign-in succeeded
+ * @param {string} title - Page heading
+ * @param {string} message - Text below the heading
+ * @returns {string} - HTML page
+ */
+function renderCallbackPage(success, title, message) {
+    const color = success ? '#107C10' : '#d83b01';
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>${escapeHtml(title)}</title>
+        <style>
+            body { font-family: 'Segoe UI', sans-serif; background-color: #f9f9f9; color: #333; text-align: center; padding: 50px; max-width: 600px; margin: 0 auto; }
+            .container { background-color: white; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 30px; }
+            h1 { color: ${color}; margin-bottom: 20px; }
+            p { margin-bottom: 30px; line-height: 1.5; }
+            .button { background-color: #0078d4; color: white; border: none; padding: 12px 24px; border-radius: 4px; cursor: pointer; font-size: 16px; text-decoration: none; display: inline-block; }
+            .button:hover { background-color: #106ebe; }
+            .icon { font-size: 48px; color: ${color}; margin-bottom: 20px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="icon">${success ? '✓' : '✗'}</div>
+            <h1>${escapeHtml(title)}</h1>
+            <p>${escapeHtml(message)}</p>
+            <a href="vscode://Harishri.CodeToTeams" class="button">Return to VS Code</a>
+        </div>
+        <script>
+            setTimeout(() => { window.location.href = "vscode://Harishri.CodeToTeams"; }, 3000);
+        </script>
+    </body>
+    </html>`;
+}
+
+/**
+ * Start listening on the first port that is free
+ * @param {http.Server} server - Server
+ * @param {string} hostname - Host to bind
+ * @param {Array<number>} ports - Ports to try in order, 0 for any free port
+ * @returns {Promise<number>} - Bound port
+ */
+function listenOnFreePort(server, hostname, ports) {
+    return new Promise((resolve, reject) => {
+        let index = 0;
+        const onListening = () => {
+            server.removeListener('error', onError);
+            resolve(server.address().port);
+        };
+        const onError = (err) => {
+            server.removeListener('listening', onListening);
+            if (err.code === 'EADDRINUSE' && index < ports.length) {
+                console.log(`Port ${ports[index - 1]} is in use, trying the next one`);
+                tryNext();
+            } else {
+                reject(err);
+            }
+        };
+        const tryNext = () => {
+            server.once('error', onError);
+            server.once('listening', onListening);
+            server.listen(ports[index++], hostname);
+        };
+        tryNext();
     });
-    
-    if (tokenResponse && tokenResponse.accessToken) {
-        console.log('Access token retrieved successfully with scopes:', tokenResponse.scopes);
-        
-        // Update the global cache with this token
-        const serializedCache = tempCca.getTokenCache().serialize();
-        cca.getTokenCache().deserialize(serializedCache);
-        await saveTokenCache();
-        
-        return tokenResponse.accessToken;
+}
+
+/**
+ * Listen on the loopback redirect URI for the authorization code
+ * The server is closed once a response arrives, the sign-in times out or is cancelled, or opening the browser fails.
+ * @param {string} redirectUri - Loopback redirect URI; without a port, one of options.ports is used
+ * @param {string} expectedState - State sent with the authorization request
+ * @param {Object} [options] - Options
+ * @param {Array<number>} [options.ports] - Ports to try when the redirect URI has none, 0 for any free port
+ * @param {vscode.CancellationToken} [options.cancellationToken] - Cancels the sign-in
+ * @param {number} [options.timeoutMs] - How long to wait for the browser
+ * @param {function(string): Promise<void>} [options.onListening] - Called with the bound redirect URI once the server accepts connections
+ * @returns {Promise<{ code: string, redirectUri: string }>} - Authorization code and the redirect URI it was sent to
+ */
+function waitForAuthCode(redirectUri, expectedState, options = {}) {
+    const callbackUrl = new URL(redirectUri);
+    const ports = callbackUrl.port ? [Number(callbackUrl.port)] : (options.ports && options.ports.length ? options.ports : [0]);
+    const timeoutMs = options.timeoutMs || SIGN_IN_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let timer = null;
+        let cancellation = null;
+        let boundRedirectUri = null;
+
+        const server = http.createServer((req, res) => {
+            const requestUrl = new URL(req.url, callbackUrl.origin);
+            if (requestUrl.pathname !== callbackUrl.pathname) {
+                res.writeHead(404, { 'Connection': 'close' });
+                res.end();
+                return;
+            }
+
+            const sendPage = (status, success, title, message) => {
+                res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Connection': 'close' });
+                res.end(renderCallbackPage(success, title, message));
+            };
+
+            const query = requestUrl.searchParams;
+            if (settled) {
+                sendPage(400, false, 'Authentication Failed', 'This sign-in has already finished. Please try again from VS Code.');
+            } else if (query.get('state') !== expectedState) {
+                sendPage(400, false, 'Authentication Failed', 'This sign-in response does not belong to the sign-in started in VS Code. Please try again.');
+                finish(createAuthError('state_mismatch', 'The sign-in response did not match the request. Please try again.'));
+            } else if (query.get('error')) {
+                const description = query.get('error_description') || query.get('error');
+                sendPage(400, false, 'Authentication Failed', description);
+                finish(createAuthError(query.get('error'), description));
+            } else if (!query.get('code')) {
+                sendPage(400, false, 'Authentication Failed', 'No authorization code received. Please try again.');
+                finish(new Error('No authorization code received'));
+            } else {
+                sendPage(200, true, 'Authentication Successful!', "You've successfully authenticated with Microsoft.");
+                finish(null, { code: query.get('code'), redirectUri: boundRedirectUri });
+            }
+        });
+
+        const finish = (error, result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            if (cancellation) {
+                cancellation.dispose();
+            }
+            server.close();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
+            }
+        };
+
+        timer = setTimeout(() => {
+            finish(createAuthError('timed_out', 'Sign-in timed out. Please try again.'));
+        }, timeoutMs);
+
+        if (options.cancellationToken) {
+            cancellation = options.cancellationToken.onCancellationRequested(() => {
+                finish(createAuthError('user_cancelled', 'Sign-in was cancelled'));
+            });
+        }
+
+        listenOnFreePort(server, callbackUrl.hostname, ports).then(async (port) => {
+            if (settled) {
+                // Cancelled or timed out while binding
+                server.close();
+                return;
+            }
+            server.on('error', (err) => finish(createAuthError('server_error', `Sign-in callback server failed: ${err.message}`)));
+            const boundUrl = new URL(callbackUrl.href);
+            boundUrl.port = String(port);
+            boundRedirectUri = boundUrl.href;
+            console.log(`Local server listening on ${boundUrl.host} for auth callback...`);
+            if (options.onListening) {
+                try {
+                    await options.onListening(boundRedirectUri);
+                } catch (error) {
+                    finish(error);
+                }
+            }
+        }, (err) => {
+            const portText = ports.length > 1 ? `ports ${ports[0]}-${ports[ports.length - 1]}` : `port ${ports[0]}`;
+            finish(createAuthError('server_error', `Could not listen on ${callbackUrl.hostname} ${portText} for the sign-in response: ${err.message}`));
+        });
+    });
+}
+
+/**
+ * Let the user pick the account to share as, pin one to the workspace or add another account
+ * @returns {Promise<boolean>} - Whether the account changed
+ */
+async function switchAccount() {
+    try {
+        const source = getTokenSource();
+        const accounts = await getAccounts();
+        const current = await getCurrentAccount();
+        const pinned = workspaceState.get(PINNED_ACCOUNT_KEY);
+        const pinnedHere = pinned && pinned.source === source ? pinned : undefined;
+        const pinButton = { iconPath: new vscode.ThemeIcon('pin'), tooltip: 'Use this account in this workspace only' };
+
+        const items = accounts.map(account => ({
+            label: `$(account) ${account.label}`,
+            description: [
+                account.name,
+                current && current.id === account.id ? 'current' : null,
+                pinnedHere && pinnedHere.id === account.id ? 'pinned to this workspace' : null
+            ].filter(Boolean).join(' · '),
+            buttons: vscode.workspace.workspaceFolders ? [pinButton] : [],
+            account
+        }));
+        if (items.length > 0) {
+            items.push({ label: '', kind: vscode.QuickPickItemKind.Separator });
+        }
+        items.push({ label: '$(add) Sign in with another account...', addAccount: true });
+        if (pinnedHere) {
+            items.push({ label: '$(pinned) Unpin the account from this workspace', unpin: true });
+        }
+
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = 'Switch Teams Account';
+        quickPick.placeholder = 'Select the account to share as, or pin one to this workspace';
+        quickPick.items = items;
+        const choice = await new Promise(resolve => {
+            quickPick.onDidAccept(() => {
+                resolve({ item: quickPick.selectedItems[0], pin: false });
+                quickPick.hide();
+            });
+            quickPick.onDidTriggerItemButton(event => {
+                resolve({ item: event.item, pin: true });
+                quickPick.hide();
+            });
+            quickPick.onDidHide(() => resolve(undefined));
+            quickPick.show();
+        });
+        quickPick.dispose();
+        if (!choice || !choice.item) {
+            return false;
+        }
+
+        if (choice.item.unpin) {
+            await workspaceState.update(PINNED_ACCOUNT_KEY, undefined);
+            const account = await getCurrentAccount();
+            vscode.window.showInformationMessage(account
+                ? `Unpinned the Teams account. This workspace now shares as ${account.label}.`
+                : 'Unpinned the Teams account from this workspace.');
+            return true;
+        }
+
+        let account = choice.item.account;
+        if (choice.item.addAccount) {
+            if (source === 'vscode') {
+                // Shows VS Code's account picker, which can also add an account
+                const session = await vscode.authentication.getSession(cloud.getCloud().vscodeProvider, getVsCodeScopes(getRequestScopes()), { createIfNone: true, clearSessionPreference: true });
+                account = { source: 'vscode', id: session.account.id, label: session.account.label };
+            } else {
+                account = toAccount((await signIn(getRequestScopes())).account);
+            }
+        }
+
+        await chooseAccount(account, choice.pin);
+        vscode.window.showInformationMessage(choice.pin
+            ? `Sharing to Teams as ${account.label} in this workspace`
+            : `Sharing to Teams as ${account.label}`);
+        return true;
+    } catch (error) {
+        reportAuthError(error);
+        return false;
     }
-    
-    throw new Error('Failed to retrieve access token');
 }
 
 /**
- * Sign out the user and clear the token cache
+ * Sign out of one account or all of them and clear their cached tokens
+ * @returns {Promise<boolean>} - Whether an account was signed out
  */
 async function signOut() {
     try {
-        const accounts = await cca.getTokenCache().getAllAccounts();
-        for (const account of accounts) {
-            await cca.getTokenCache().removeAccount(account);
+        if (getTokenSource() === 'vscode') {
+            // Extensions can't end sessions of VS Code's authentication providers
+            vscode.window.showInformationMessage('Teams sharing uses the Microsoft account signed in to VS Code. Sign out of it from the Accounts menu.');
+            return false;
         }
-        if (fs.existsSync(tokenCachePath)) {
-            fs.unlinkSync(tokenCachePath);
+
+        const accounts = await getAccounts();
+        let signedOut = accounts;
+        if (accounts.length > 1) {
+            const selected = await vscode.window.showQuickPick([
+                ...accounts.map(account => ({ label: `$(account) ${account.label}`, description: account.name, account })),
+                { label: '', kind: vscode.QuickPickItemKind.Separator },
+                { label: '$(sign-out) Sign out of all accounts', all: true }
+            ], { title: 'Sign Out from Teams', placeHolder: 'Select the account to sign out' });
+            if (!selected) {
+                return false;
+            }
+            if (!selected.all) {
+                signedOut = [selected.account];
+            }
+        }
+
+        const tokenCache = pca.getTokenCache();
+        for (const account of await tokenCache.getAllAccounts()) {
+            if (signedOut.some(a => a.id === account.homeAccountId)) {
+                await tokenCache.removeAccount(account);
+            }
         }
+        await forgetAccounts(signedOut);
+        // Accounts of other clouds stay cached
+        if ((await tokenCache.getAllAccounts()).length === 0) {
+            await secrets.delete(TOKEN_CACHE_SECRET);
+        }
+
         console.log('Signed out successfully');
-        vscode.window.showInformationMessage('Signed out from Microsoft account');
+        vscode.window.showInformationMessage(signedOut.length === 1 && accounts.length > 1
+            ? `Signed out ${signedOut[0].label} from Teams`
+            : 'Signed out from Microsoft account');
+        return true;
     } catch (error) {
         console.error('Error signing out:', error);
         vscode.window.showErrorMessage(`Failed to sign out: ${error.message}`);
+        return false;
     }
 }
 
 module.exports = {
+    SCOPES,
     initialize,
     getAccessToken,
-    signOut
+    getCurrentAccount,
+    switchAccount,
+    signOut,
+    getAuthority,
+    parsePortRange,
+    isSignInExpired,
+    isAdminConsentError,
+    isUserConsentError,
+    waitForAuthCode
 };
\ No newline at end of file
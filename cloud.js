@@ -0,0 +1,79 @@
+const vscode = require('vscode');
+const graph = require('./graphClient');
+
+/**
+ * Endpoints of the Microsoft clouds, selected with shareToTeams.cloud.
+ * GCC (moderate) tenants use the global endpoints.
+ */
+const CLOUDS = {
+    global: {
+        loginUrl: 'https://login.microsoftonline.com',
+        // Hosts MSAL may record as an account's environment
+        loginHosts: ['login.microsoftonline.com', 'login.windows.net', 'login.microsoft.com', 'sts.windows.net'],
+        graphUrl: 'https://graph.microsoft.com',
+        teamsUrl: 'https://teams.microsoft.com',
+        vscodeProvider: 'microsoft'
+    },
+    gccHigh: {
+        loginUrl: 'https://login.microsoftonline.us',
+        loginHosts: ['login.microsoftonline.us', 'login.usgovcloudapi.net'],
+        graphUrl: 'https://graph.microsoft.us',
+        teamsUrl: 'https://gov.teams.microsoft.us',
+        vscodeProvider: 'microsoft-sovereign-cloud'
+    },
+    dod: {
+        loginUrl: 'https://login.microsoftonline.us',
+        loginHosts: ['login.microsoftonline.us', 'login.usgovcloudapi.net'],
+        graphUrl: 'https://dod-graph.microsoft.us',
+        teamsUrl: 'https://dod.teams.microsoft.us',
+        vscodeProvider: 'microsoft-sovereign-cloud'
+    },
+    china: {
+        loginUrl: 'https://login.chinacloudapi.cn',
+        loginHosts: ['login.chinacloudapi.cn', 'login.partner.microsoftonline.cn'],
+        graphUrl: 'https://microsoftgraph.chinacloudapi.cn',
+        teamsUrl: 'https://teams.microsoftonline.cn',
+        vscodeProvider: 'microsoft-sovereign-cloud'
+    }
+};
+
+/**
+ * Point the Graph client at the configured cloud and follow changes to the setting
+ * @param {vscode.ExtensionContext} context - Extension context owning the listener
+ */
+function initialize(context) {
+    const configureGraph = () => graph.configure({ baseUrl: getGraphBaseUrl() });
+    configureGraph();
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('shareToTeams.cloud')) {
+            configureGraph();
+        }
+    }));
+}
+
+/**
+ * Get the endpoints of a cloud
+ * @param {string} [name] - "global", "gccHigh", "dod" or "china"; defaults to shareToTeams.cloud
+ * @returns {{ loginUrl: string, loginHosts: Array<string>, graphUrl: string, teamsUrl: string, vscodeProvider: string }} - Endpoints, the global cloud for unknown names
+ */
+function getCloud(name) {
+    if (name === undefined) {
+        name = vscode.workspace.getConfiguration('shareToTeams').get('cloud', 'global');
+    }
+    return CLOUDS[name] || CLOUDS.global;
+}
+
+/**
+ * Get the Graph root of a cloud
+ * @param {string} [name] - Cloud name; defaults to shareToTeams.cloud
+ * @returns {string} - Graph URL including the API version
+ */
+function getGraphBaseUrl(name) {
+    return `${getCloud(name).graphUrl}/v1.0`;
+}
+
+module.exports = {
+    initialize,
+    getCloud,
+    getGraphBaseUrl
+};
@@ -0,0 +1,253 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const formatting = require('./formatting');
+
+/**
+ * Open the message composer for a snippet
+ * The composer lets the user write a note, @mention people and choose what the code block shows,
+ * with a preview built by the same code that builds the sent message.
+ * @param {Object} snippet - Snippet being shared
+ * @param {string} targetName - Name of the chat, channel or people the snippet goes to
+ * @param {Array<{ displayName: string, email?: string, userId?: string }>} mentionables - People that can be mentioned
+ * @returns {Promise<Object|undefined>} - Snippet with note, mentions and display options, undefined if cancelled
+ */
+function openComposer(snippet, targetName, mentionables) {
+    const config = vscode.workspace.getConfiguration('shareToTeams');
+    const panel = vscode.window.createWebviewPanel(
+        'shareToTeamsComposer',
+        `Share to ${targetName}`,
+        vscode.ViewColumn.Beside,
+        { enableScripts: true }
+    );
+
+    let state = {
+        note: snippet.note || '',
+        display: formatting.getDisplayOptions(snippet, config)
+    };
+    panel.webview.html = getComposerHtml(panel.webview, targetName, mentionables, state);
+
+    const postPreview = () => {
+        // Unresolved people are looked up when the message is sent; show them as mentions already
+        const composed = composeSnippet(snippet, state, mentionables);
+        const previewSnippet = {
+            ...composed,
+            mentions: composed.mentions.map(m => ({ ...m, userId: m.userId || m.email || m.displayName }))
+        };
+        panel.webview.postMessage({ type: 'preview', html: renderPreviewHtml(formatting.buildShareMessage(previewSnippet, config)) });
+    };
+
+    return new Promise(resolve => {
+        panel.webview.onDidReceiveMessage(message => {
+            switch (message.type) {
+                case 'ready':
+                    // The page is rebuilt from its initial HTML when the tab was hidden, so refill the user's edits
+                    panel.webview.postMessage({ type: 'restore', note: state.note, display: state.display });
+                    postPreview();
+                    break;
+                case 'update':
+                    state = { note: message.note, display: { ...state.display, ...message.display } };
+                    postPreview();
+                    break;
+                case 'send':
+                    resolve(composeSnippet(snippet, state, mentionables));
+                    panel.dispose();
+                    break;
+                case 'cancel':
+                    panel.dispose();
+                    break;
+            }
+        });
+        panel.onDidDispose(() => resolve(undefined));
+    });
+}
+
+/**
+ * Apply the composer state to a snippet
+ * @param {Object} snippet - Snippet being shared
+ * @param {{ note: string, display: Object }} state - Note and display options
+ * @param {Array<Object>} mentionables - People that can be mentioned
+ * @returns {Object} - Snippet with note, mentions and display options
+ */
+function composeSnippet(snippet, state, mentionables) {
+    return {
+        ...snippet,
+        note: state.note.trim() || null,
+        display: state.display,
+        mentions: findMentions(state.note, mentionables)
+    };
+}
+
+/**
+ * Find the people mentioned as "@Name" in a note
+ * @param {string} note - Note text
+ * @param {Array<{ displayName: string, email?: string, userId?: string }>} mentionables - People that can be mentioned
+ * @returns {Array<{ displayName: string, email?: string, userId?: string }>} - Mentioned people
+ */
+function findMentions(note, mentionables) {
+    if (!note) {
+        return [];
+    }
+    // Longest names first, removing each match so "@Ada Lovelace" doesn't also mention "Ada"
+    let remaining = note;
+    return [...mentionables]
+        .filter(m => m.displayName)
+        .sort((a, b) => b.displayName.length - a.displayName.length)
+        .filter(m => {
+            const token = `@${m.displayName}`;
+            if (!remaining.includes(token)) {
+                return false;
+            }
+            remaining = remaining.replace(token, '');
+            return true;
+        })
+        .map(({ displayName, email, userId }) => ({ displayName, email, userId }));
+}
+
+/**
+ * Render a built message as HTML for the preview, drawing Adaptive Cards in place of their attachment tags
+ * @param {{ content: string, options: Object }} message - Message from buildShareMessage
+ * @returns {string} - Preview HTML
+ */
+function renderPreviewHtml(message) {
+    const attachments = message.options.attachments || [];
+    return message.content.replace(/<attachment id="([^"]+)"><\/attachment>/g, (tag, id) => {
+        const attachment = attachments.find(a => a.id === id);
+        if (!attachment) {
+            return '';
+        }
+        const card = JSON.parse(attachment.content);
+        const actions = (card.actions || [])
+            .map(action => `<span class="card-action">${formatting.escapeHtml(action.title)}</span>`)
+            .join('');
+        return `<div class="card">${card.body.map(renderCardElement).join('')}${actions ? `<div class="card-actions">${actions}</div>` : ''}</div>`;
+    });
+}
+
+/**
+ * Render the card elements used by buildCodeCard
+ * @param {Object} element - Adaptive Card element
+ * @returns {string} - HTML
+ */
+function renderCardElement(element) {
+    if (element.type === 'Container') {
+        return `<div class="card-container">${element.items.map(renderCardElement).join('')}</div>`;
+    }
+    if (element.type === 'CodeBlock') {
+        return `<div class="mono">${formatting.escapeHtml(element.codeSnippet)}</div>`;
+    }
+    const classes = [
+        element.weight === 'Bolder' ? 'bold' : '',
+        element.isSubtle ? 'subtle' : '',
+        element.fontType === 'Monospace' ? 'mono' : ''
+    ].filter(Boolean).join(' ');
+    return `<div class="${classes}">${formatting.escapeHtml(element.text)}</div>`;
+}
+
+/**
+ * Build the composer page
+ * @param {vscode.Webview} webview - Composer webview
+ * @param {string} targetName - Name of the share target
+ * @param {Array<Object>} mentionables - People that can be mentioned
+ * @param {{ note: string, display: Object }} state - Initial note and display options
+ * @returns {string} - HTML
+ */
+function getComposerHtml(webview, targetName, mentionables, state) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const escape = formatting.escapeHtml;
+    const checked = (key) => state.display[key] ? ' checked' : '';
+    const mentionButtons = mentionables
+        .filter(m => m.displayName)
+        .map(m => `<button class="mention" data-name="${escape(m.displayName)}" title="${escape(m.email || '')}">@${escape(m.displayName)}</button>`)
+        .join('');
+
+    // The preview's highlighted code and cards use style attributes, which a style-src nonce would
+    // block ('unsafe-inline' is ignored next to a nonce); scripts stay nonce-locked
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 16px 16px; }
+        textarea { width: 100%; min-height: 80px; box-sizing: border-box; font-family: inherit; color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); padding: 6px; }
+        .mentions, .options, .buttons { margin: 8px 0; }
+        .mention { margin: 0 4px 4px 0; }
+        .options label { margin-right: 16px; }
+        button { color: var(--vscode-button-secondaryForeground); background: var(--vscode-button-secondaryBackground); border: none; padding: 4px 10px; cursor: pointer; }
+        button.primary { color: var(--vscode-button-foreground); background: var(--vscode-button-background); }
+        .preview { border: 1px solid var(--vscode-panel-border); padding: 8px 12px; overflow-x: auto; }
+        .preview pre { background: var(--vscode-textCodeBlock-background); padding: 8px; overflow-x: auto; }
+        .preview at { color: var(--vscode-textLink-foreground); font-weight: bold; }
+        .card { border: 1px solid var(--vscode-panel-border); padding: 8px; }
+        .card-container { background: var(--vscode-textCodeBlock-background); margin: 6px -8px; padding: 8px; }
+        .card-action { display: inline-block; margin-right: 8px; color: var(--vscode-textLink-foreground); }
+        .bold { font-weight: bold; }
+        .subtle { opacity: 0.7; font-size: 0.9em; }
+        .mono { font-family: var(--vscode-editor-font-family); white-space: pre-wrap; }
+    </style>
+</head>
+<body>
+    <h3>Share to ${escape(targetName)}</h3>
+    <textarea id="note" placeholder="Add a note: why are you sharing this?">${escape(state.note)}</textarea>
+    ${mentionButtons ? `<div class="mentions">Mention: ${mentionButtons}</div>` : ''}
+    <div class="options">
+        <label><input type="checkbox" id="includeFileName"${checked('includeFileName')}> File name</label>
+        <label><input type="checkbox" id="includeLineNumbers"${checked('includeLineNumbers')}> Line numbers</label>
+        <label><input type="checkbox" id="includeLanguage"${checked('includeLanguage')}> Language</label>
+    </div>
+    <h4>Preview</h4>
+    <div class="preview" id="preview"></div>
+    <div class="buttons">
+        <button class="primary" id="send" title="Ctrl+Enter">Send</button>
+        <button id="cancel">Cancel</button>
+    </div>
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        const note = document.getElementById('note');
+        const options = ['includeFileName', 'includeLineNumbers', 'includeLanguage'];
+
+        function update() {
+            const display = {};
+            options.forEach(id => { display[id] = document.getElementById(id).checked; });
+            vscode.postMessage({ type: 'update', note: note.value, display });
+        }
+
+        note.addEventListener('input', update);
+        options.forEach(id => document.getElementById(id).addEventListener('change', update));
+        document.querySelectorAll('.mention').forEach(button => button.addEventListener('click', () => {
+            const text = '@' + button.dataset.name + ' ';
+            const start = note.selectionStart;
+            note.value = note.value.slice(0, start) + text + note.value.slice(note.selectionEnd);
+            note.selectionStart = note.selectionEnd = start + text.length;
+            note.focus();
+            update();
+        }));
+        document.getElementById('send').addEventListener('click', () => vscode.postMessage({ type: 'send' }));
+        document.getElementById('cancel').addEventListener('click', () => vscode.postMessage({ type: 'cancel' }));
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                vscode.postMessage({ type: 'send' });
+            }
+        });
+        window.addEventListener('message', event => {
+            if (event.data.type === 'preview') {
+                document.getElementById('preview').innerHTML = event.data.html;
+            } else if (event.data.type === 'restore') {
+                note.value = event.data.note;
+                options.forEach(id => { document.getElementById(id).checked = Boolean(event.data.display[id]); });
+            }
+        });
+
+        note.focus();
+        vscode.postMessage({ type: 'ready' });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    openComposer,
+    findMentions,
+    renderPreviewHtml
+};
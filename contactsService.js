@@ -1,6 +1,14 @@
-const { Client } = require('@microsoft/microsoft-graph-client');
-const vscode = require('vscode');
-const axios = require('axios');
+const graph = require('./graphClient');
+const cloud = require('./cloud');
+
+// Upper bounds on entries loaded when following @odata.nextLink
+const MAX_CONTACTS = 1000;
+const MAX_USERS = 500;
+
+const USER_FIELDS = 'id,displayName,mail,userPrincipalName,department,jobTitle';
+
+// Matches requested from each endpoint while searching
+const SEARCH_RESULTS = 25;
 
 /**
  * Get the user's profile and contacts
@@ -12,18 +20,14 @@ async function getContacts(accessToken) {
         // First verify we can access the user's profile
         let userProfile;
         try {
-            const profileResponse = await axios.get('https://graph.microsoft.com/v1.0/me', {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            userProfile = profileResponse.data;
-            console.log('User profile fetched successfully via axios:', userProfile.id);
+            userProfile = await graph.get(accessToken, '/me');
+            console.log('User profile fetched successfully:', userProfile.id);
         } catch (profileError) {
-            console.error('Error fetching user profile:', profileError.response?.status, profileError.response?.data?.error);
-            throw new Error(`Unable to access your profile. Status: ${profileError.response?.status}. You may need to sign out and sign in again.`);
+            console.error('Error fetching user profile:', profileError.statusCode, profileError.code);
+            if (graph.isAccessDenied(profileError)) {
+                throw profileError;
+            }
+            throw new Error(`Unable to access your profile: ${profileError.message}. You may need to sign out and sign in again.`);
         }
 
         // Get account type to handle differently for personal vs. work accounts
@@ -40,103 +44,62 @@ async function getContacts(accessToken) {
         
         // Try to get contacts directly (works for both personal and work accounts with Contacts.Read permission)
         try {
-            const contactsResponse = await axios.get('https://graph.microsoft.com/v1.0/me/contacts?$top=100', {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (contactsResponse.data && contactsResponse.data.value) {
-                const directContacts = contactsResponse.data.value
-                    .filter(contact => contact.emailAddresses && contact.emailAddresses.length > 0)
-                    .map(contact => ({
-                        id: contact.id,
-                        displayName: contact.displayName || contact.emailAddresses[0].address,
-                        email: contact.emailAddresses[0].address,
-                        department: contact.department || '',
-                        company: contact.companyName || '',
-                        jobTitle: contact.jobTitle || '',
-                        userPrincipalName: contact.emailAddresses[0].address
-                    }));
-                
-                console.log('Contacts fetched via contacts API:', directContacts.length, 'contacts found');
-                contacts = [...contacts, ...directContacts];
-            }
+            const directContacts = (await graph.getAll(accessToken, '/me/contacts', { query: { $top: 100 }, maxItems: MAX_CONTACTS }))
+                .filter(contact => contact.emailAddresses && contact.emailAddresses.length > 0)
+                .map(contact => ({
+                    id: contact.id,
+                    displayName: contact.displayName || contact.emailAddresses[0].address,
+                    email: contact.emailAddresses[0].address,
+                    department: contact.department || '',
+                    company: contact.companyName || '',
+                    jobTitle: contact.jobTitle || '',
+                    userPrincipalName: contact.emailAddresses[0].address
+                }));
+
+            console.log('Contacts fetched via contacts API:', directContacts.length, 'contacts found');
+            contacts = [...contacts, ...directContacts];
         } catch (contactsError) {
-            console.log('Unable to fetch direct contacts:', contactsError.response?.status, contactsError.response?.data?.error);
+            console.log('Unable to fetch direct contacts:', contactsError.statusCode, contactsError.code);
             // Continue to try other endpoints
         }
 
         // Try the people API endpoint as well
         try {
-            const peopleResponse = await axios.get('https://graph.microsoft.com/v1.0/me/people?$filter=personType/class eq \'Person\'&$top=100', {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (peopleResponse.data && peopleResponse.data.value) {
-                const myEmail = userProfile.mail || userProfile.userPrincipalName;
-                
-                const peopleContacts = peopleResponse.data.value
-                    .filter(person => person.scoredEmailAddresses && person.scoredEmailAddresses.length > 0)
-                    .map(person => ({
-                        id: person.id,
-                        displayName: person.displayName,
-                        email: person.scoredEmailAddresses[0].address,
-                        department: person.department || '',
-                        company: person.companyName || '',
-                        jobTitle: person.jobTitle || '',
-                        userPrincipalName: person.userPrincipalName || person.scoredEmailAddresses[0].address
-                    }));
-                
-                console.log('Contacts fetched via people API:', peopleContacts.length, 'contacts found');
-                
-                // Add people contacts but avoid duplicates based on email
-                const emailSet = new Set(contacts.map(c => c.email.toLowerCase()));
-                const uniquePeopleContacts = peopleContacts.filter(p => !emailSet.has(p.email.toLowerCase()));
-                
-                contacts = [...contacts, ...uniquePeopleContacts];
-            }
+            const peopleContacts = (await graph.getAll(accessToken, '/me/people', {
+                query: { $filter: "personType/class eq 'Person'", $top: 100 },
+                maxItems: MAX_CONTACTS
+            }))
+                .filter(person => person.scoredEmailAddresses && person.scoredEmailAddresses.length > 0)
+                .map(toPersonRecipient);
+
+            console.log('Contacts fetched via people API:', peopleContacts.length, 'contacts found');
+
+            // Add people contacts but avoid duplicates based on email
+            const emailSet = new Set(contacts.map(c => c.email.toLowerCase()));
+            const uniquePeopleContacts = peopleContacts.filter(p => !emailSet.has(p.email.toLowerCase()));
+
+            contacts = [...contacts, ...uniquePeopleContacts];
         } catch (peopleError) {
-            console.log('Unable to fetch contacts via people API:', peopleError.response?.status, peopleError.response?.data?.error);
+            console.log('Unable to fetch contacts via people API:', peopleError.statusCode, peopleError.code);
             // Continue to try other endpoints
         }
 
         // For work accounts, try the users API as a fallback
         if (accountType === 'work' && contacts.length < 5) {
             try {
-                const usersResponse = await axios.get('https://graph.microsoft.com/v1.0/users?$top=50&$select=id,displayName,mail,userPrincipalName,department,jobTitle', {
-                    headers: {
-                        'Authorization': `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
-                
-                if (usersResponse.data && usersResponse.data.value) {
-                    const users = usersResponse.data.value
-                        .filter(user => user.mail || user.userPrincipalName)
-                        .map(user => ({
-                            id: user.id,
-                            displayName: user.displayName,
-                            email: user.mail || user.userPrincipalName,
-                            department: user.department || '',
-                            jobTitle: user.jobTitle || '',
-                            userPrincipalName: user.userPrincipalName
-                        }));
-                    
-                    console.log('Users fetched as fallback for contacts:', users.length, 'users found');
-                    
-                    // Add users but avoid duplicates based on email
-                    const emailSet = new Set(contacts.map(c => c.email.toLowerCase()));
-                    const uniqueUsers = users.filter(u => !emailSet.has(u.email.toLowerCase()));
-                    
-                    contacts = [...contacts, ...uniqueUsers];
-                }
+                const users = (await getUsers(accessToken))
+                    .filter(user => user.mail || user.userPrincipalName)
+                    .map(toRecipient);
+
+                console.log('Users fetched as fallback for contacts:', users.length, 'users found');
+
+                // Add users but avoid duplicates based on email
+                const emailSet = new Set(contacts.map(c => c.email.toLowerCase()));
+                const uniqueUsers = users.filter(u => !emailSet.has(u.email.toLowerCase()));
+
+                contacts = [...contacts, ...uniqueUsers];
             } catch (usersError) {
-                console.log('Unable to fetch users list:', usersError.response?.status, usersError.response?.data?.error);
+                console.log('Unable to fetch users list:', usersError.statusCode, usersError.code);
                 // Last fallback option before failing
             }
         }
@@ -165,9 +128,9 @@ async function getContacts(accessToken) {
         console.error('Error getting contacts:', error);
         
         // Provide more specific error message based on the error
-        if (error.response?.status === 401) {
+        if (error.type === 'unauthorized') {
             throw new Error('Authentication failed. Please sign out and sign in again.');
-        } else if (error.response?.status === 403) {
+        } else if (error.type === 'forbidden') {
             throw new Error('Permission denied. Your account may not have the necessary permissions. Make sure you authorized Contacts.Read permissions.');
         }
         
@@ -175,6 +138,48 @@ async function getContacts(accessToken) {
     }
 }
 
+/**
+ * Get users of the signed-in user's organization
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @returns {Promise<Array<Object>>} - Graph user objects
+ */
+function getUsers(accessToken) {
+    return graph.getAll(accessToken, '/users', { query: { $top: 100, $select: USER_FIELDS }, maxItems: MAX_USERS });
+}
+
+/**
+ * Convert a Graph user to a recipient
+ * @param {Object} user - Graph user object
+ * @returns {Object} - Recipient
+ */
+function toRecipient(user) {
+    return {
+        id: user.id,
+        displayName: user.displayName,
+        email: user.mail || user.userPrincipalName,
+        department: user.department || '',
+        jobTitle: user.jobTitle || '',
+        userPrincipalName: user.userPrincipalName
+    };
+}
+
+/**
+ * Convert a Graph person (from /me/people) to a recipient
+ * @param {Object} person - Graph person object with at least one scored email address
+ * @returns {Object} - Recipient
+ */
+function toPersonRecipient(person) {
+    return {
+        id: person.id,
+        displayName: person.displayName,
+        email: person.scoredEmailAddresses[0].address,
+        department: person.department || '',
+        company: person.companyName || '',
+        jobTitle: person.jobTitle || '',
+        userPrincipalName: person.userPrincipalName || person.scoredEmailAddresses[0].address
+    };
+}
+
 /**
  * Get colleagues from the same organization (only for work accounts)
  * @param {string} accessToken - Microsoft Graph API access token
@@ -183,44 +188,20 @@ async function getContacts(accessToken) {
 async function getColleagues(accessToken) {
     try {
         // First check if this is a work account by verifying the organization name
-        const orgResponse = await axios.get('https://graph.microsoft.com/v1.0/organization', {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (!orgResponse.data || !orgResponse.data.value || orgResponse.data.value.length === 0) {
+        const organization = await graph.get(accessToken, '/organization');
+        if (!organization || !organization.value || organization.value.length === 0) {
             console.log('No organization found, likely a personal account');
             return [];
         }
 
-        const response = await axios.get('https://graph.microsoft.com/v1.0/users?$top=50&$select=id,displayName,mail,userPrincipalName,department,jobTitle', {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
+        const colleagues = (await getUsers(accessToken))
+            .filter(user => user.mail || user.userPrincipalName)
+            .map(toRecipient);
 
-        if (response.data && response.data.value) {
-            const colleagues = response.data.value
-                .filter(user => user.mail || user.userPrincipalName)
-                .map(user => ({
-                    id: user.id,
-                    displayName: user.displayName,
-                    email: user.mail || user.userPrincipalName,
-                    department: user.department || '',
-                    jobTitle: user.jobTitle || '',
-                    userPrincipalName: user.userPrincipalName
-                }));
-
-            console.log('Colleagues fetched successfully:', colleagues.length, 'colleagues found');
-            return colleagues;
-        }
-        
-        return [];
+        console.log('Colleagues fetched successfully:', colleagues.length, 'colleagues found');
+        return colleagues;
     } catch (error) {
-        console.log('Error getting colleagues or not a work account:', error.response?.status, error.response?.data?.error);
+        console.log('Error getting colleagues or not a work account:', error.statusCode, error.code);
         // Don't throw, just return empty array if colleagues can't be fetched
         return [];
     }
@@ -282,6 +263,57 @@ async function getPotentialRecipients(accessToken) {
     }
 }
 
+/**
+ * Search the directory and the people the user works with
+ * The search runs in Graph, so it finds colleagues beyond the batch loaded by getPotentialRecipients.
+ * An endpoint that fails, e.g. /users for personal accounts, is skipped.
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} query - Name or email typed by the user
+ * @returns {Promise<Array>} - Matching recipients, people the user works with first
+ */
+async function searchRecipients(accessToken, query) {
+    // Search terms are quoted, so quotes and backslashes in the query are dropped
+    const term = query.replace(/["\\]/g, ' ').trim();
+    if (!term) {
+        return [];
+    }
+
+    // Directory queries with $search only run with eventual consistency
+    const headers = { ConsistencyLevel: 'eventual' };
+    const [people, users] = await Promise.all([
+        graph.get(accessToken, '/me/people', { $search: `"${term}"`, $top: SEARCH_RESULTS }, headers)
+            .then(response => (response.value || [])
+                .filter(person => person.scoredEmailAddresses && person.scoredEmailAddresses.length > 0)
+                .map(toPersonRecipient))
+            .catch(error => {
+                console.log('Unable to search people:', error.statusCode, error.code);
+                return [];
+            }),
+        graph.get(accessToken, '/users', {
+            $search: `"displayName:${term}" OR "mail:${term}"`,
+            $select: USER_FIELDS,
+            $top: SEARCH_RESULTS
+        }, headers)
+            .then(response => (response.value || [])
+                .filter(user => user.mail || user.userPrincipalName)
+                .map(toRecipient))
+            .catch(error => {
+                console.log('Unable to search users:', error.statusCode, error.code);
+                return [];
+            })
+    ]);
+
+    const emailMap = new Map();
+    [...people, ...users].forEach(recipient => {
+        const key = recipient.email.toLowerCase();
+        if (!emailMap.has(key)) {
+            emailMap.set(key, recipient);
+        }
+    });
+    console.log(`Directory search for "${term}":`, emailMap.size, 'recipients found');
+    return Array.from(emailMap.values());
+}
+
 /**
  * Create a deep link URL for sharing to Teams
  * @param {Array<string>} emails - Email addresses of recipients
@@ -291,12 +323,23 @@ async function getPotentialRecipients(accessToken) {
 function createTeamsDeepLink(emails, content) {
     const encodedUsers = encodeURIComponent(emails.join(','));
     const encodedMessage = encodeURIComponent(content);
-    return `https://teams.microsoft.com/l/chat/0/0?users=${encodedUsers}&message=${encodedMessage}`;
+    return `${cloud.getCloud().teamsUrl}/l/chat/0/0?users=${encodedUsers}&message=${encodedMessage}`;
+}
+
+/**
+ * Create a deep link URL that opens an existing Teams chat
+ * @param {string} chatId - Graph chat ID
+ * @returns {string} - Teams deep link URL
+ */
+function createTeamsChatLink(chatId) {
+    return `${cloud.getCloud().teamsUrl}/l/chat/${encodeURIComponent(chatId)}/conversations`;
 }
 
 module.exports = {
     getContacts,
     getColleagues,
     getPotentialRecipients,
-    createTeamsDeepLink
+    searchRecipients,
+    createTeamsDeepLink,
+    createTeamsChatLink
 };
\ No newline at end of file
@@ -0,0 +1,376 @@
+const vscode = require('vscode');
+const teamsService = require('./teamsservice');
+const formatting = require('./formatting');
+const auth = require('./authentication');
+
+// Browsers and Teams start truncating deep links well before the URL length limits
+const MAX_DEEP_LINK_LENGTH = 2000;
+
+// Graph rejects chat messages larger than roughly 28 KB
+const MAX_MESSAGE_BYTES = 28 * 1024;
+
+// Raw text budget per message, leaving room for HTML escaping and formatting
+const MAX_PART_BYTES = Math.floor(MAX_MESSAGE_BYTES / 2);
+
+// Room for the "Part i/n" heading of split messages
+const PART_HEADER_BYTES = 64;
+
+// Smallest raw text budget tried when formatted parts are still too large
+const MIN_PART_BYTES = 256;
+
+const MODES = {
+    split: {
+        label: '$(split-horizontal) Split into several messages',
+        detail: 'Send the snippet as numbered messages'
+    },
+    upload: {
+        label: '$(cloud-upload) Upload as a file',
+        detail: 'Upload the snippet to OneDrive and attach it to the message'
+    },
+    trim: {
+        label: '$(fold) Trim and link to the full file',
+        detail: 'Send the first lines with a link to the file in the repository'
+    },
+    clipboard: {
+        label: '$(clippy) Copy to clipboard',
+        detail: 'Open the chat with a short note and paste the snippet yourself'
+    }
+};
+
+/**
+ * Measure the size of a Graph message payload
+ * @param {string} content - Message body content
+ * @param {Object} [options] - Message options (attachments are counted too)
+ * @returns {number} - Size in bytes
+ */
+function measureMessage(content, options = {}) {
+    return Buffer.byteLength(JSON.stringify({ content, attachments: options.attachments || [] }), 'utf8');
+}
+
+/**
+ * Split text on line boundaries into parts that fit a byte budget
+ * Lines longer than the budget are cut into pieces.
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Maximum bytes per part
+ * @returns {Array<{ text: string, lineOffset: number, lineCount: number }>} - Parts with their position in the text
+ */
+function splitText(text, maxBytes) {
+    const parts = [];
+    let current = [];
+    let currentBytes = 0;
+    let lineOffset = 0;
+
+    const flush = (nextOffset) => {
+        if (current.length > 0) {
+            parts.push({ text: current.join('\n'), lineOffset, lineCount: current.length });
+        }
+        current = [];
+        currentBytes = 0;
+        lineOffset = nextOffset;
+    };
+
+    text.split('\n').forEach((line, index) => {
+        const lineBytes = Buffer.byteLength(line, 'utf8') + 1;
+        if (current.length > 0 && currentBytes + lineBytes > maxBytes) {
+            flush(index);
+        }
+        if (lineBytes > maxBytes) {
+            // A single line over budget is sent as several pieces of the same line
+            for (const piece of cutLine(line, maxBytes)) {
+                parts.push({ text: piece, lineOffset: index, lineCount: 1 });
+            }
+            lineOffset = index + 1;
+            return;
+        }
+        current.push(line);
+        currentBytes += lineBytes;
+    });
+    flush(lineOffset);
+
+    return parts;
+}
+
+/**
+ * Cut a line into pieces of at most maxBytes, without splitting characters
+ * @param {string} line - Line to cut
+ * @param {number} maxBytes - Maximum bytes per piece
+ * @returns {Array<string>} - Pieces
+ */
+function cutLine(line, maxBytes) {
+    const pieces = [];
+    let piece = '';
+    for (const char of line) {
+        if (Buffer.byteLength(piece + char, 'utf8') > maxBytes) {
+            pieces.push(piece);
+            piece = '';
+        }
+        piece += char;
+    }
+    if (piece) {
+        pieces.push(piece);
+    }
+    return pieces;
+}
+
+/**
+ * Keep the leading lines of a text that fit a byte budget
+ * @param {string} text - Text to trim
+ * @param {number} maxBytes - Maximum bytes to keep
+ * @returns {{ text: string, lineCount: number, omittedLines: number }} - Trimmed text
+ */
+function trimText(text, maxBytes) {
+    const [first] = splitText(text, maxBytes);
+    const totalLines = text.split('\n').length;
+    const lineCount = first ? first.lineCount : 0;
+    return {
+        text: first ? first.text : '',
+        lineCount: lineCount,
+        omittedLines: totalLines - (first ? first.lineOffset + lineCount : 0)
+    };
+}
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "42 KB"
+ */
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} bytes` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Pick how to deliver an oversized snippet, from the setting or by asking
+ * @param {Array<string>} available - Mode keys that can be used for this target
+ * @param {string} reason - Why the snippet doesn't fit, shown to the user
+ * @returns {Promise<string|undefined>} - Chosen mode, undefined if cancelled
+ */
+async function chooseMode(available, reason) {
+    const configured = vscode.workspace.getConfiguration('shareToTeams').get('largeSnippetMode', 'ask');
+    if (available.includes(configured)) {
+        vscode.window.showInformationMessage(`${reason} ${MODES[configured].detail}.`);
+        return configured;
+    }
+
+    const items = available.map(mode => ({ ...MODES[mode], mode }));
+    const selected = await vscode.window.showQuickPick(items, {
+        title: 'Snippet Too Large',
+        placeHolder: reason
+    });
+    return selected ? selected.mode : undefined;
+}
+
+/**
+ * Create the snippet for part of the original text
+ * @param {Object} snippet - Original snippet
+ * @param {string} text - Text of the part
+ * @param {number} lineOffset - Line of the part within the snippet (0-based)
+ * @param {number} lineCount - Number of lines in the part
+ * @returns {Object} - Snippet for the part
+ */
+function createPartSnippet(snippet, text, lineOffset, lineCount) {
+    const startLine = snippet.startLine ? snippet.startLine + lineOffset : snippet.startLine;
+    return {
+        ...snippet,
+        text: text,
+        startLine: startLine,
+        endLine: startLine ? startLine + lineCount - 1 : snippet.endLine
+    };
+}
+
+/**
+ * Split a snippet into parts whose formatted messages fit in a Teams message
+ * Formatting can make a part several times larger than its text, e.g. inline-styled highlighting,
+ * so parts that are still too large once formatted are split again with a smaller budget.
+ * @param {Object} snippet - Snippet being shared
+ * @param {Function} buildMessage - (snippet) => { content, options } for a part
+ * @returns {Array<Object>} - Part snippets, in order
+ */
+function splitSnippet(snippet, buildMessage) {
+    const fit = (text, lineOffset, budget) => splitText(text, budget).flatMap(part => {
+        const partSnippet = createPartSnippet(snippet, part.text, lineOffset + part.lineOffset, part.lineCount);
+        const message = buildMessage(partSnippet);
+        const size = measureMessage(message.content, message.options) + PART_HEADER_BYTES;
+        const partBytes = Buffer.byteLength(part.text, 'utf8');
+        if (size <= MAX_MESSAGE_BYTES || partBytes <= MIN_PART_BYTES) {
+            return [partSnippet];
+        }
+        // Shrink the budget by how much formatting grew this part, with some margin
+        const smallerBudget = Math.max(MIN_PART_BYTES, Math.floor(partBytes * MAX_MESSAGE_BYTES / size * 0.9));
+        return fit(part.text, lineOffset + part.lineOffset, Math.min(smallerBudget, partBytes - 1));
+    });
+    return fit(snippet.text, 0, MAX_PART_BYTES);
+}
+
+/**
+ * Build a message with the leading lines of a snippet and a link to the full file
+ * Like splitSnippet, the formatted message is measured, with the "more lines" note, and the text
+ * trimmed further until it fits.
+ * @param {Object} snippet - Snippet being shared, with a repositoryFileUrl
+ * @param {Function} buildMessage - (snippet) => { content, options } for the trimmed snippet
+ * @returns {{ content: string, options: Object }} - Message that fits in a Teams message
+ */
+function trimSnippet(snippet, buildMessage) {
+    const build = (budget) => {
+        const trimmed = trimText(snippet.text, budget);
+        const message = buildMessage(createPartSnippet(snippet, trimmed.text, 0, trimmed.lineCount));
+        const note = `<p>… ${trimmed.omittedLines} more line(s). <a href="${formatting.escapeHtml(snippet.repositoryFileUrl)}">Open the full file</a></p>`;
+        return {
+            content: `${message.content}${note}`,
+            options: message.options,
+            textBytes: Buffer.byteLength(trimmed.text, 'utf8')
+        };
+    };
+
+    let message = build(MAX_PART_BYTES);
+    let size = measureMessage(message.content, message.options);
+    while (size > MAX_MESSAGE_BYTES && message.textBytes > MIN_PART_BYTES) {
+        // Shrink the budget by how much formatting grew the text, with some margin
+        const smallerBudget = Math.max(MIN_PART_BYTES, Math.floor(message.textBytes * MAX_MESSAGE_BYTES / size * 0.9));
+        message = build(Math.min(smallerBudget, message.textBytes - 1));
+        size = measureMessage(message.content, message.options);
+    }
+    return { content: message.content, options: message.options };
+}
+
+/**
+ * Build a file name for an uploaded snippet, e.g. main-L10-200.js
+ * @param {Object} snippet - Snippet to upload
+ * @returns {string} - File name
+ */
+function createUploadFileName(snippet) {
+    const fileName = snippet.fileName || 'snippet.txt';
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : '.txt';
+    const range = snippet.startLine ? `-L${snippet.startLine}-${snippet.endLine || snippet.startLine}` : '';
+    return `${base}${range}${extension}`;
+}
+
+/**
+ * Send a snippet through Graph, splitting, uploading or trimming it first when it is too large
+ * @param {Object} snippet - Snippet being shared
+ * @param {Object} message - Message built for the whole snippet
+ * @param {Function} post - (content, options) => Promise posting one message to the target
+ * @param {vscode.Progress} [progress] - Progress reporter of the share notification
+ * @returns {Promise<Object|undefined>} - Last posted message, undefined if the user cancelled
+ */
+async function deliverMessage(snippet, message, post, progress) {
+    const size = measureMessage(message.content, message.options);
+    if (size <= MAX_MESSAGE_BYTES) {
+        return post(message.content, message.options);
+    }
+
+    const available = ['split', 'upload'];
+    if (snippet.repositoryFileUrl) {
+        available.push('trim');
+    }
+    const mode = await chooseMode(available, `The snippet is ${formatSize(size)}, more than a Teams message can hold.`);
+    if (!mode) {
+        return undefined;
+    }
+
+    const config = vscode.workspace.getConfiguration('shareToTeams');
+    const buildMessage = (part) => formatting.buildShareMessage(part, config);
+
+    if (mode === 'split') {
+        // Parts are measured with the note, which only the first part carries
+        const parts = splitSnippet(snippet, buildMessage);
+        let response;
+        for (let i = 0; i < parts.length; i++) {
+            if (progress) {
+                progress.report({ message: `Sending part ${i + 1} of ${parts.length}...` });
+            }
+            // Only the first part carries the note, so mentioned people are notified once
+            const part = buildMessage(i === 0 ? parts[i] : { ...parts[i], note: null, mentions: [] });
+            try {
+                response = await post(`<p><b>Part ${i + 1}/${parts.length}</b></p>${part.content}`, part.options);
+            } catch (error) {
+                if (i === 0) {
+                    throw error; // Nothing was posted, so callers can still fall back
+                }
+                throw Object.assign(new Error(`Sent parts 1-${i} of ${parts.length}; part ${i + 1} failed: ${error.message}`), {
+                    partsSent: i,
+                    partCount: parts.length,
+                    webUrl: response && response.webUrl
+                });
+            }
+        }
+        return response;
+    }
+
+    if (mode === 'upload') {
+        // OneDrive access is only asked for the first time a snippet is uploaded
+        const accessToken = await auth.getAccessToken(auth.SCOPES.files);
+        if (!accessToken) {
+            return undefined;
+        }
+        if (progress) {
+            progress.report({ message: "Uploading snippet to OneDrive..." });
+        }
+        const driveItem = await teamsService.uploadSnippetFile(accessToken, createUploadFileName(snippet), snippet.text);
+        const { content, attachments } = teamsService.createFileAttachment(driveItem);
+        const link = snippet.repositoryUrl ? `<p><a href="${formatting.escapeHtml(snippet.repositoryUrl)}">View in repository</a></p>` : '';
+        const note = formatting.formatNoteHtml(snippet.note, snippet.mentions);
+        return post(`${note.html}${link}${content}`, { contentType: 'html', attachments, mentions: note.mentions });
+    }
+
+    const trimmed = trimSnippet(snippet, buildMessage);
+    return post(trimmed.content, trimmed.options);
+}
+
+/**
+ * Check whether a failed delivery already posted some parts of a split snippet
+ * Falling back to another way of sharing would then send those parts twice.
+ * @param {Error} error - Error from deliverMessage
+ * @returns {boolean} - Whether parts were posted
+ */
+function isPartialDelivery(error) {
+    return error.partsSent > 0;
+}
+
+/**
+ * Make sure a deep link message fits in a URL, trimming it or moving it to the clipboard
+ * @param {Object} snippet - Snippet being shared
+ * @param {string} text - Markdown message for the deep link
+ * @param {Function} createLink - (text) => deep link URL
+ * @returns {Promise<string|undefined>} - Text to put in the deep link, undefined if the user cancelled
+ */
+async function prepareDeepLinkText(snippet, text, createLink) {
+    const length = createLink(text).length;
+    if (length <= MAX_DEEP_LINK_LENGTH) {
+        return text;
+    }
+
+    const available = snippet.repositoryFileUrl ? ['trim', 'clipboard'] : ['clipboard'];
+    const mode = await chooseMode(available, `The snippet makes a ${length}-character link, too long to open Teams with.`);
+    if (!mode) {
+        return undefined;
+    }
+
+    if (mode === 'clipboard') {
+        await vscode.env.clipboard.writeText(text);
+        vscode.window.showInformationMessage('The snippet is on your clipboard. Paste it into the Teams chat once it opens.');
+        return snippet.repositoryUrl || snippet.fileName || '';
+    }
+
+    // Deep links are percent-encoded, so aim for a third of the limit in raw text
+    const trimmed = trimText(snippet.text, Math.floor(MAX_DEEP_LINK_LENGTH / 3));
+    const config = vscode.workspace.getConfiguration('shareToTeams');
+    const trimmedSnippet = createPartSnippet(snippet, trimmed.text, 0, trimmed.lineCount);
+    const trimmedText = formatting.buildShareMessage({ ...trimmedSnippet, repositoryUrl: null }, config).text;
+    return `${trimmedText}\n… ${trimmed.omittedLines} more line(s): ${snippet.repositoryFileUrl}`;
+}
+
+module.exports = {
+    MAX_DEEP_LINK_LENGTH,
+    MAX_MESSAGE_BYTES,
+    measureMessage,
+    splitText,
+    splitSnippet,
+    trimText,
+    trimSnippet,
+    createUploadFileName,
+    deliverMessage,
+    isPartialDelivery,
+    prepareDeepLinkText
+};
@@ -0,0 +1,149 @@
+const vscode = require('vscode');
+
+const ASK_COMMAND = 'extension.askTeamsAboutDiagnostic';
+
+// Problems view markers use the editor's MarkerSeverity values
+const MARKER_SEVERITIES = { 8: vscode.DiagnosticSeverity.Error, 4: vscode.DiagnosticSeverity.Warning, 2: vscode.DiagnosticSeverity.Information, 1: vscode.DiagnosticSeverity.Hint };
+
+/**
+ * Get the display name of a diagnostic severity
+ * @param {vscode.DiagnosticSeverity} severity - Severity
+ * @returns {string} - "Error", "Warning", "Information" or "Hint"
+ */
+function formatSeverity(severity) {
+    return ['Error', 'Warning', 'Information', 'Hint'][severity] || 'Error';
+}
+
+/**
+ * Get a diagnostic code as text
+ * @param {string|number|{ value: string|number }} [code] - Diagnostic code, possibly with a documentation target
+ * @returns {string|null} - Code
+ */
+function formatCode(code) {
+    if (code === undefined || code === null || code === '') {
+        return null;
+    }
+    return String(typeof code === 'object' ? code.value : code);
+}
+
+/**
+ * Describe a diagnostic for sharing
+ * @param {vscode.Diagnostic} diagnostic - Diagnostic
+ * @returns {{ message: string, source: string|null, code: string|null, severity: string, line: number }} - Description with a 1-based line
+ */
+function describeDiagnostic(diagnostic) {
+    return {
+        message: diagnostic.message,
+        source: diagnostic.source || null,
+        code: formatCode(diagnostic.code),
+        severity: formatSeverity(diagnostic.severity),
+        line: diagnostic.range.start.line + 1
+    };
+}
+
+/**
+ * Get the lines around a diagnostic
+ * @param {vscode.TextDocument} document - Document with the diagnostic
+ * @param {vscode.Diagnostic} diagnostic - Diagnostic
+ * @param {number} contextLines - Lines to include above and below the diagnostic
+ * @returns {vscode.Range} - Range of whole lines
+ */
+function getContextRange(document, diagnostic, contextLines) {
+    const startLine = Math.max(0, diagnostic.range.start.line - contextLines);
+    const endLine = Math.min(document.lineCount - 1, diagnostic.range.end.line + contextLines);
+    return new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length);
+}
+
+/**
+ * Get the 1-based lines a diagnostic covers
+ * @param {vscode.Diagnostic} diagnostic - Diagnostic
+ * @returns {Array<number>} - Line numbers
+ */
+function getDiagnosticLines(diagnostic) {
+    const lines = [];
+    for (let line = diagnostic.range.start.line; line <= diagnostic.range.end.line; line++) {
+        lines.push(line + 1);
+    }
+    return lines;
+}
+
+/**
+ * Find the diagnostic a command was run for
+ * Code actions pass the document URI and diagnostic, the Problems view passes its marker;
+ * from the Command Palette the diagnostics on the cursor line are offered.
+ * @param {...*} args - Command arguments
+ * @returns {Promise<{ uri: vscode.Uri, diagnostic: vscode.Diagnostic }|undefined>} - Diagnostic, undefined if there is none or the user cancelled
+ */
+async function resolveDiagnostic(...args) {
+    const [first, second] = args;
+    if (first instanceof vscode.Uri && second) {
+        return { uri: first, diagnostic: second };
+    }
+
+    if (first && first.marker) {
+        const marker = first.marker;
+        const uri = marker.resource instanceof vscode.Uri ? marker.resource : vscode.Uri.from(marker.resource);
+        const diagnostic = vscode.languages.getDiagnostics(uri).find(d =>
+            d.range.start.line === marker.startLineNumber - 1 && d.message === marker.message);
+        return {
+            uri,
+            diagnostic: diagnostic || Object.assign(new vscode.Diagnostic(
+                new vscode.Range(marker.startLineNumber - 1, marker.startColumn - 1, marker.endLineNumber - 1, marker.endColumn - 1),
+                marker.message,
+                MARKER_SEVERITIES[marker.severity]
+            ), { source: marker.source, code: marker.code })
+        };
+    }
+
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showErrorMessage('No active editor found');
+        return undefined;
+    }
+    const line = editor.selection.active.line;
+    const diagnostics = vscode.languages.getDiagnostics(editor.document.uri)
+        .filter(d => d.range.start.line <= line && d.range.end.line >= line);
+    if (diagnostics.length === 0) {
+        vscode.window.showInformationMessage('There are no problems on the current line.');
+        return undefined;
+    }
+    if (diagnostics.length === 1) {
+        return { uri: editor.document.uri, diagnostic: diagnostics[0] };
+    }
+
+    const selected = await vscode.window.showQuickPick(diagnostics.map(d => ({
+        label: d.message,
+        description: [d.source, formatCode(d.code)].filter(Boolean).join(' '),
+        diagnostic: d
+    })), { title: 'Ask Teams About a Problem', placeHolder: 'Select the problem to share' });
+    return selected ? { uri: editor.document.uri, diagnostic: selected.diagnostic } : undefined;
+}
+
+/**
+ * Offers "Ask Teams about this error" for each diagnostic under the cursor
+ * @type {vscode.CodeActionProvider}
+ */
+const codeActionProvider = {
+    provideCodeActions(document, range, context) {
+        return context.diagnostics.map(diagnostic => {
+            const kind = { Error: 'error', Warning: 'warning' }[formatSeverity(diagnostic.severity)] || 'problem';
+            const title = context.diagnostics.length > 1
+                ? `Ask Teams about "${diagnostic.message.split('\n')[0]}"`
+                : `Ask Teams about this ${kind}`;
+            const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+            action.diagnostics = [diagnostic];
+            action.command = { command: ASK_COMMAND, title: title, arguments: [document.uri, diagnostic] };
+            return action;
+        });
+    }
+};
+
+module.exports = {
+    ASK_COMMAND,
+    formatSeverity,
+    describeDiagnostic,
+    getContextRange,
+    getDiagnosticLines,
+    resolveDiagnostic,
+    codeActionProvider
+};
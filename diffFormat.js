@@ -0,0 +1,225 @@
+/**
+ * Parses unified diffs, as returned by the git extension, into files, hunks and side-by-side rows.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {string} type - 'context', 'add' or 'delete'
+ * @property {string} text - Line without its +, - or space prefix
+ * @property {number|null} oldLine - Line number in the old file
+ * @property {number|null} newLine - Line number in the new file
+ */
+
+/**
+ * Strip the a/ or b/ prefix of a diff path
+ * @param {string} value - Path from a ---/+++ or diff --git line
+ * @returns {string|null} - Path, null for /dev/null
+ */
+function parsePath(value) {
+    const filePath = value.split('\t')[0].trim();
+    if (filePath === '/dev/null') {
+        return null;
+    }
+    return filePath.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse a unified diff
+ * @param {string} text - Diff text
+ * @returns {Array<{ oldPath: string|null, newPath: string|null, hunks: Array<Object> }>} - Files with their hunks
+ */
+function parseDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    const startFile = () => {
+        file = { oldPath: null, newPath: null, hunks: [] };
+        files.push(file);
+        hunk = null;
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const gitHeader = /^diff --git a\/(.+) b\/(.+)$/.exec(line);
+        if (gitHeader) {
+            startFile();
+            file.oldPath = gitHeader[1];
+            file.newPath = gitHeader[2];
+            return;
+        }
+
+        if (!hunk) {
+            if (line.startsWith('--- ')) {
+                if (!file || file.hunks.length > 0) {
+                    startFile();
+                }
+                file.oldPath = parsePath(line.slice(4));
+                return;
+            }
+            if (line.startsWith('+++ ') && file) {
+                file.newPath = parsePath(line.slice(4));
+                return;
+            }
+        }
+
+        const hunkHeader = HUNK_HEADER.exec(line);
+        if (hunkHeader) {
+            if (!file) {
+                startFile();
+            }
+            oldLine = Number(hunkHeader[1]);
+            newLine = Number(hunkHeader[3]);
+            hunk = {
+                header: line,
+                oldStart: oldLine,
+                oldLines: hunkHeader[2] === undefined ? 1 : Number(hunkHeader[2]),
+                newStart: newLine,
+                newLines: hunkHeader[4] === undefined ? 1 : Number(hunkHeader[4]),
+                lines: []
+            };
+            hunk.remainingOld = hunk.oldLines;
+            hunk.remainingNew = hunk.newLines;
+            file.hunks.push(hunk);
+            return;
+        }
+
+        if (!hunk) {
+            return; // index, mode and "Binary files differ" lines
+        }
+
+        const prefix = line[0];
+        if (prefix === '+') {
+            hunk.lines.push({ type: 'add', text: line.slice(1), oldLine: null, newLine: newLine++ });
+            hunk.remainingNew--;
+        } else if (prefix === '-') {
+            hunk.lines.push({ type: 'delete', text: line.slice(1), oldLine: oldLine++, newLine: null });
+            hunk.remainingOld--;
+        } else if (prefix === ' ' || line === '') {
+            hunk.lines.push({ type: 'context', text: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+            hunk.remainingOld--;
+            hunk.remainingNew--;
+        }
+        // "\ No newline at end of file" has no line of its own
+
+        if (hunk.remainingOld <= 0 && hunk.remainingNew <= 0) {
+            hunk = null;
+        }
+    });
+
+    files.forEach(f => f.hunks.forEach(h => {
+        delete h.remainingOld;
+        delete h.remainingNew;
+    }));
+    return files.filter(f => f.hunks.length > 0 || f.oldPath || f.newPath);
+}
+
+/**
+ * Get the display path of a diffed file
+ * @param {{ oldPath: string|null, newPath: string|null }} file - Parsed file
+ * @returns {string} - Path, with the old path for renames
+ */
+function getFilePath(file) {
+    if (file.oldPath && file.newPath && file.oldPath !== file.newPath) {
+        return `${file.oldPath} → ${file.newPath}`;
+    }
+    return file.newPath || file.oldPath || '';
+}
+
+/**
+ * Find the hunk that covers a line of the new file
+ * @param {{ hunks: Array<Object> }} file - Parsed file
+ * @param {number} line - 1-based line number
+ * @returns {Object|undefined} - Hunk
+ */
+function findHunkAtLine(file, line) {
+    return file.hunks.find(h => line >= h.newStart && line < h.newStart + Math.max(h.newLines, 1));
+}
+
+/**
+ * Find the old file's line that a line of the new file was, e.g. a working tree line in the index
+ * @param {{ hunks: Array<Object> }} file - Parsed file
+ * @param {number} line - 1-based line number in the new file
+ * @returns {number|null} - 1-based line number in the old file, null for added lines
+ */
+function mapNewLineToOld(file, line) {
+    let offset = 0;
+    for (const hunk of file.hunks) {
+        if (hunk.newLines > 0 && line >= hunk.newStart && line < hunk.newStart + hunk.newLines) {
+            const match = hunk.lines.find(l => l.newLine === line);
+            return match && match.type === 'context' ? match.oldLine : null;
+        }
+        // Empty sides of a hunk give the line before the change as their start
+        const newAfter = hunk.newStart + Math.max(hunk.newLines, 1);
+        const oldAfter = hunk.oldStart + Math.max(hunk.oldLines, 1);
+        if (line < newAfter) {
+            break;
+        }
+        offset = oldAfter - newAfter;
+    }
+    return line + offset;
+}
+
+/**
+ * Build a diff holding a single hunk of a file
+ * @param {{ oldPath: string|null, newPath: string|null }} file - Parsed file
+ * @param {Object} hunk - Hunk of the file
+ * @returns {string} - Diff text
+ */
+function createHunkPatch(file, hunk) {
+    const prefixes = { context: ' ', add: '+', delete: '-' };
+    return [
+        `--- ${file.oldPath ? `a/${file.oldPath}` : '/dev/null'}`,
+        `+++ ${file.newPath ? `b/${file.newPath}` : '/dev/null'}`,
+        hunk.header,
+        ...hunk.lines.map(l => `${prefixes[l.type]}${l.text}`)
+    ].join('\n');
+}
+
+/**
+ * Pair the lines of a hunk for a side-by-side view
+ * Deletions are shown next to the additions that follow them.
+ * @param {{ lines: Array<DiffLine> }} hunk - Parsed hunk
+ * @returns {Array<{ left: DiffLine|null, right: DiffLine|null }>} - Rows
+ */
+function toSideBySideRows(hunk) {
+    const rows = [];
+    let deleted = [];
+    let added = [];
+
+    const flush = () => {
+        for (let i = 0; i < Math.max(deleted.length, added.length); i++) {
+            rows.push({ left: deleted[i] || null, right: added[i] || null });
+        }
+        deleted = [];
+        added = [];
+    };
+
+    hunk.lines.forEach(line => {
+        if (line.type === 'delete') {
+            if (added.length > 0) {
+                flush();
+            }
+            deleted.push(line);
+        } else if (line.type === 'add') {
+            added.push(line);
+        } else {
+            flush();
+            rows.push({ left: line, right: line });
+        }
+    });
+    flush();
+    return rows;
+}
+
+module.exports = {
+    parseDiff,
+    getFilePath,
+    findHunkAtLine,
+    mapNewLineToOld,
+    createHunkPatch,
+    toSideBySideRows
+};
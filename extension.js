@@ -1,94 +1,164 @@
 const vscode = require('vscode');
+const path = require('path');
 const auth = require('./authentication');
+const cloud = require('./cloud');
 const contactsService = require('./contactsService');
+const teamsService = require('./teamsservice');
+const formatting = require('./formatting');
+const delivery = require('./delivery');
+const gitService = require('./gitService');
+const permalink = require('./permalink');
+const secretScanner = require('./secretScanner');
+const shareHistory = require('./shareHistory');
+const recipientGroups = require('./recipientGroups');
+const recipientUsage = require('./recipientUsage');
+const composer = require('./composer');
+const diagnostics = require('./diagnostics');
+const diffFormat = require('./diffFormat');
+const terminalCapture = require('./terminalCapture');
 
 // Cache for recipients to avoid fetching again in a session
 let recipientsCache = null;
 let lastFetchTime = null;
 const CACHE_EXPIRY_MS = 10 * 60 * 1000; // 10 minutes
 
+// Number of recently used recipients shown in the "Recent" section
+const RECENT_RECIPIENTS_COUNT = 5;
+
+// Directory search in the recipient picker starts once typing pauses for this long
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_SEARCH_LENGTH = 2;
+
 /**
  * Activates the extension
  * @param {vscode.ExtensionContext} context
  */
 function activate(context) {
     console.log('Activating "Share Code to Teams" extension');
+    cloud.initialize(context);
     auth.initialize(context);
+    shareHistory.initialize(context);
+    recipientUsage.initialize(context);
+    terminalCapture.initialize(context);
 
     let shareCommand = vscode.commands.registerCommand('extension.shareToTeams', async function () {
         try {
-            const editor = vscode.window.activeTextEditor;
-            if (!editor) {
-                vscode.window.showErrorMessage('No active editor found');
-                return;
+            const snippet = await getEditorSnippet();
+            if (snippet) {
+                await shareSnippet(snippet);
             }
+        } catch (error) {
+            console.error('Error sharing code to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing code to Teams: ${error.message}`);
+        }
+    });
 
-            const selection = editor.selection;
-            if (selection.isEmpty) {
-                vscode.window.showErrorMessage('No text selected');
+    let shareAgainCommand = vscode.commands.registerCommand('extension.shareToTeamsAgain', async function () {
+        try {
+            const lastShare = shareHistory.getEntries()[0];
+            if (!lastShare) {
+                vscode.window.showInformationMessage('Nothing shared yet. Use "Share to Teams" first.');
                 return;
             }
 
-            const selectedText = editor.document.getText(selection);
-            if (!selectedText) {
-                vscode.window.showErrorMessage('Selected text is empty');
+            const snippet = await getEditorSnippet();
+            if (snippet) {
+                await shareSnippet(snippet, lastShare.target);
+            }
+        } catch (error) {
+            console.error('Error sharing code to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing code to Teams: ${error.message}`);
+        }
+    });
+
+    let askAboutDiagnosticCommand = vscode.commands.registerCommand(diagnostics.ASK_COMMAND, async function(...args) {
+        try {
+            const resolved = await diagnostics.resolveDiagnostic(...args);
+            if (!resolved) {
                 return;
             }
 
-            // Format the code snippet with language information
-            const languageId = editor.document.languageId;
-            const includeLanguage = vscode.workspace.getConfiguration('shareToTeams').get('includeLanguage', true);
-            const formattedText = formatCodeSnippet(selectedText, includeLanguage ? languageId : null);
+            const config = vscode.workspace.getConfiguration('shareToTeams');
+            const document = await vscode.workspace.openTextDocument(resolved.uri);
+            const range = diagnostics.getContextRange(document, resolved.diagnostic, config.get('diagnosticContextLines', 3));
+            const snippet = createSnippet(document, range, document.getText(range));
+            snippet.diagnostic = diagnostics.describeDiagnostic(resolved.diagnostic);
+            snippet.markedLines = diagnostics.getDiagnosticLines(resolved.diagnostic);
+            Object.assign(snippet, await resolvePermalinks(document.uri, snippet, config));
 
-            await vscode.window.withProgress({
-                location: vscode.ProgressLocation.Notification,
-                title: "Share code snippet to Teams",
-                cancellable: false
-            }, async (progress) => {
-                progress.report({ message: "Authenticating..." });
-                
-                // Get access token
-                const accessToken = await auth.getAccessToken();
-                if (!accessToken) {
-                    throw new Error('Authentication failed');
-                }
+            await shareSnippet(snippet);
+        } catch (error) {
+            console.error('Error sharing problem to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing problem to Teams: ${error.message}`);
+        }
+    });
 
-                // Get recipients
-                progress.report({ message: "Fetching contacts..." });
-                const recipients = await getRecipients(accessToken);
-                
-                if (!recipients || recipients.length === 0) {
-                    throw new Error('No contacts found. Please ensure you have contacts in your Microsoft account.');
-                }
+    let shareChangesCommand = vscode.commands.registerCommand('extension.shareChangesToTeams', async function() {
+        try {
+            const snippet = await getFileDiffSnippet(false);
+            if (snippet) {
+                await shareSnippet(snippet);
+            }
+        } catch (error) {
+            console.error('Error sharing changes to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing changes to Teams: ${error.message}`);
+        }
+    });
 
-                // Show QuickPick UI for selecting recipients
-                progress.report({ message: "Select contacts to share with..." });
-                const selectedRecipients = await showRecipientSelector(recipients);
-                
-                if (!selectedRecipients || selectedRecipients.length === 0) {
-                    return; // User cancelled
-                }
+    let shareStagedHunkCommand = vscode.commands.registerCommand('extension.shareStagedHunkToTeams', async function() {
+        try {
+            const snippet = await getFileDiffSnippet(true);
+            if (snippet) {
+                await shareSnippet(snippet);
+            }
+        } catch (error) {
+            console.error('Error sharing changes to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing changes to Teams: ${error.message}`);
+        }
+    });
 
-                // Create deep link and open it
-                progress.report({ message: "Opening Teams..." });
-                const emails = selectedRecipients.map(r => r.email);
-                const deepLink = contactsService.createTeamsDeepLink(emails, formattedText);
-                await vscode.env.openExternal(vscode.Uri.parse(deepLink));
-                
-                vscode.window.showInformationMessage(`Code shared to Teams for ${selectedRecipients.length} recipient(s).`);
-            });
+    let shareCommitsCommand = vscode.commands.registerCommand('extension.shareCommitsToTeams', async function() {
+        try {
+            const snippet = await getCommitDiffSnippet();
+            if (snippet) {
+                await shareSnippet(snippet);
+            }
         } catch (error) {
-            console.error('Error sharing code to Teams:', error);
-            vscode.window.showErrorMessage(`Error sharing code to Teams: ${error.message}`);
+            console.error('Error sharing commits to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing commits to Teams: ${error.message}`);
         }
     });
 
+    let shareTerminalCommand = vscode.commands.registerCommand('extension.shareTerminalToTeams', async function() {
+        try {
+            const snippet = await getTerminalSnippet();
+            if (snippet) {
+                await shareSnippet(snippet);
+            }
+        } catch (error) {
+            console.error('Error sharing terminal output to Teams:', error);
+            vscode.window.showErrorMessage(`Error sharing terminal output to Teams: ${error.message}`);
+        }
+    });
+
+    let diagnosticActions = vscode.languages.registerCodeActionsProvider('*', diagnostics.codeActionProvider, {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+    });
+
     let signOutCommand = vscode.commands.registerCommand('extension.teamsSignOut', async function() {
-        await auth.signOut();
-        // Clear cache when signing out
-        recipientsCache = null;
-        lastFetchTime = null;
-        vscode.window.showInformationMessage('Signed out from Microsoft account');
+        if (await auth.signOut()) {
+            // Clear cache when signing out
+            recipientsCache = null;
+            lastFetchTime = null;
+        }
+    });
+
+    let switchAccountCommand = vscode.commands.registerCommand('extension.switchTeamsAccount', async function() {
+        if (await auth.switchAccount()) {
+            // Contacts belong to the previous account
+            recipientsCache = null;
+            lastFetchTime = null;
+        }
     });
 
     let addManualRecipientCommand = vscode.commands.registerCommand('extension.addManualTeamsRecipient', async function() {
@@ -168,7 +238,619 @@ function activate(context) {
         }
     });
 
-    context.subscriptions.push(shareCommand, signOutCommand, addManualRecipientCommand, manageRecipientsCommand);
+    let createGroupCommand = vscode.commands.registerCommand('extension.createTeamsRecipientGroup', async function() {
+        const existingNames = recipientGroups.getGroups().map(g => g.name.toLowerCase());
+        const name = await vscode.window.showInputBox({
+            prompt: 'Name of the recipient group',
+            placeHolder: 'payments-reviewers',
+            validateInput: (text) => {
+                if (!text.trim()) {
+                    return 'Please enter a name';
+                }
+                return existingNames.includes(text.trim().toLowerCase()) ? 'A group with this name already exists' : null;
+            }
+        });
+        if (!name) {
+            return;
+        }
+
+        const scope = await pickGroupScope();
+        if (!scope) {
+            return;
+        }
+
+        const members = await pickGroupMembers();
+        if (!members) {
+            return;
+        }
+
+        await recipientGroups.saveGroup({ name: name.trim(), members }, scope);
+        vscode.window.showInformationMessage(`Created recipient group "${name.trim()}" with ${members.length} member(s)`);
+    });
+
+    let manageGroupsCommand = vscode.commands.registerCommand('extension.manageTeamsRecipientGroups', async function() {
+        const groups = recipientGroups.getGroups();
+        if (groups.length === 0) {
+            vscode.window.showInformationMessage('No recipient groups found. Create one first with "Create Teams Recipient Group" command.');
+            return;
+        }
+
+        const selected = await vscode.window.showQuickPick(groups.map(group => ({
+            label: group.name,
+            description: `${group.members.length} member(s) · ${group.scope}`,
+            detail: group.members.join(', '),
+            group: group
+        })), { title: 'Manage Recipient Groups', placeHolder: 'Select a group' });
+        if (!selected) {
+            return;
+        }
+
+        const group = selected.group;
+        const action = await vscode.window.showQuickPick(['Edit Members', 'Rename', 'Delete'], { title: group.name });
+        if (action === 'Edit Members') {
+            const members = await pickGroupMembers(group.members);
+            if (members) {
+                await recipientGroups.saveGroup({ name: group.name, members }, group.scope);
+                vscode.window.showInformationMessage(`Updated recipient group "${group.name}"`);
+            }
+        } else if (action === 'Rename') {
+            const name = await vscode.window.showInputBox({
+                prompt: 'New name of the recipient group',
+                value: group.name,
+                validateInput: (text) => text.trim() ? null : 'Please enter a name'
+            });
+            if (name && name.trim() !== group.name) {
+                await recipientGroups.saveGroup({ name: name.trim(), members: group.members }, group.scope, group.name);
+                vscode.window.showInformationMessage(`Renamed recipient group to "${name.trim()}"`);
+            }
+        } else if (action === 'Delete') {
+            await recipientGroups.deleteGroup(group.name, group.scope);
+            vscode.window.showInformationMessage(`Deleted recipient group "${group.name}"`);
+        }
+    });
+
+    let importGroupsCommand = vscode.commands.registerCommand('extension.importTeamsRecipientGroups', async function() {
+        const uris = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            filters: { 'JSON': ['json'] },
+            openLabel: 'Import Groups'
+        });
+        if (!uris || uris.length === 0) {
+            return;
+        }
+
+        try {
+            const content = await vscode.workspace.fs.readFile(uris[0]);
+            const groups = recipientGroups.parseGroupsJson(Buffer.from(content).toString('utf8'));
+            const scope = await pickGroupScope();
+            if (!scope) {
+                return;
+            }
+            for (const group of groups) {
+                await recipientGroups.saveGroup(group, scope);
+            }
+            vscode.window.showInformationMessage(`Imported ${groups.length} recipient group(s)`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to import recipient groups: ${error.message}`);
+        }
+    });
+
+    let exportGroupsCommand = vscode.commands.registerCommand('extension.exportTeamsRecipientGroups', async function() {
+        const groups = recipientGroups.getGroups();
+        if (groups.length === 0) {
+            vscode.window.showInformationMessage('No recipient groups to export.');
+            return;
+        }
+
+        const items = groups.map(group => ({ label: group.name, description: `${group.members.length} member(s)`, picked: true, group }));
+        const selected = await vscode.window.showQuickPick(items, { title: 'Export Recipient Groups', canPickMany: true });
+        if (!selected || selected.length === 0) {
+            return;
+        }
+
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: folder ? vscode.Uri.joinPath(folder.uri, 'teams-recipient-groups.json') : undefined,
+            filters: { 'JSON': ['json'] },
+            saveLabel: 'Export Groups'
+        });
+        if (!uri) {
+            return;
+        }
+
+        const content = recipientGroups.serializeGroups(selected.map(item => item.group));
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+        vscode.window.showInformationMessage(`Exported ${selected.length} recipient group(s)`);
+    });
+
+    const historyView = vscode.window.registerTreeDataProvider('teamsShareHistory', shareHistory.treeDataProvider);
+
+    let resendShareCommand = vscode.commands.registerCommand('extension.teamsShareHistory.resend', async function(entry) {
+        try {
+            const snippet = await readHistorySnippet(entry);
+            if (!snippet) {
+                return;
+            }
+            const checkedText = await checkForSecrets(snippet, vscode.workspace.getConfiguration('shareToTeams'));
+            if (checkedText === undefined) {
+                return; // User cancelled
+            }
+            snippet.text = checkedText;
+
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: await getProgressTitle("Resend code snippet to Teams"),
+                cancellable: false
+            }, async (progress) => {
+                progress.report({ message: "Authenticating..." });
+                const accessToken = await requireAccessToken(getTargetScopes(entry.target));
+                await sendToTarget(accessToken, progress, entry.target, snippet);
+            });
+        } catch (error) {
+            console.error('Error resending code to Teams:', error);
+            vscode.window.showErrorMessage(`Error resending code to Teams: ${error.message}`);
+        }
+    });
+
+    let openShareInTeamsCommand = vscode.commands.registerCommand('extension.teamsShareHistory.openInTeams', async function(entry) {
+        await vscode.env.openExternal(vscode.Uri.parse(getShareTeamsUrl(entry)));
+    });
+
+    let copyShareLinkCommand = vscode.commands.registerCommand('extension.teamsShareHistory.copyLink', async function(entry) {
+        await vscode.env.clipboard.writeText(getShareTeamsUrl(entry));
+        vscode.window.showInformationMessage('Teams link copied to clipboard');
+    });
+
+    let openShareSourceCommand = vscode.commands.registerCommand('extension.teamsShareHistory.openSource', async function(entry) {
+        const { snippet } = entry;
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(snippet.documentUri));
+            const range = new vscode.Range(snippet.startLine - 1, 0, snippet.endLine - 1, Number.MAX_SAFE_INTEGER);
+            await vscode.window.showTextDocument(document, { selection: range });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Unable to open ${snippet.fileName}: ${error.message}`);
+        }
+    });
+
+    let deleteShareCommand = vscode.commands.registerCommand('extension.teamsShareHistory.delete', async function(entry) {
+        await shareHistory.removeEntry(entry.id);
+    });
+
+    let clearHistoryCommand = vscode.commands.registerCommand('extension.teamsShareHistory.clear', async function() {
+        const choice = await vscode.window.showWarningMessage('Delete all entries from the Teams share history?', { modal: true }, 'Delete All');
+        if (choice === 'Delete All') {
+            await shareHistory.clearEntries();
+        }
+    });
+
+    context.subscriptions.push(shareCommand, shareAgainCommand, askAboutDiagnosticCommand, diagnosticActions,
+        shareChangesCommand, shareStagedHunkCommand, shareCommitsCommand, shareTerminalCommand, signOutCommand, switchAccountCommand, addManualRecipientCommand, manageRecipientsCommand,
+        createGroupCommand, manageGroupsCommand, importGroupsCommand, exportGroupsCommand, historyView, resendShareCommand, openShareInTeamsCommand, copyShareLinkCommand, openShareSourceCommand,
+        deleteShareCommand, clearHistoryCommand);
+}
+
+/**
+ * Get the selection of the active editor as a snippet, with its permalinks
+ * @returns {Promise<Object|undefined>} - Snippet, undefined if there is nothing to share
+ */
+async function getEditorSnippet() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showErrorMessage('No active editor found');
+        return undefined;
+    }
+
+    const selection = editor.selection;
+    if (selection.isEmpty) {
+        vscode.window.showErrorMessage('No text selected');
+        return undefined;
+    }
+
+    const selectedText = editor.document.getText(selection);
+    if (!selectedText) {
+        vscode.window.showErrorMessage('Selected text is empty');
+        return undefined;
+    }
+
+    const config = vscode.workspace.getConfiguration('shareToTeams');
+    const snippet = createSnippet(editor.document, selection, selectedText);
+    Object.assign(snippet, await resolvePermalinks(editor.document.uri, snippet, config));
+    return snippet;
+}
+
+/**
+ * Read the lines of a recorded share from its source document again
+ * The history doesn't keep the shared code, so a resend sends what the lines contain now.
+ * @param {Object} entry - Share history entry
+ * @returns {Promise<Object|undefined>} - Snippet with its permalinks, undefined if the lines can't be read
+ */
+async function readHistorySnippet(entry) {
+    const { snippet } = entry;
+    if (!shareHistory.hasSource(entry)) {
+        vscode.window.showErrorMessage('Only shares of an editor selection can be sent again.');
+        return undefined;
+    }
+
+    let document;
+    try {
+        document = await vscode.workspace.openTextDocument(vscode.Uri.parse(snippet.documentUri));
+    } catch (error) {
+        vscode.window.showErrorMessage(`Unable to open ${snippet.fileName}: ${error.message}`);
+        return undefined;
+    }
+    if (snippet.endLine > document.lineCount) {
+        vscode.window.showErrorMessage(`${snippet.fileName} no longer has lines ${snippet.startLine}-${snippet.endLine}.`);
+        return undefined;
+    }
+
+    const range = new vscode.Range(snippet.startLine - 1, 0, snippet.endLine - 1, document.lineAt(snippet.endLine - 1).text.length);
+    const result = createSnippet(document, range, document.getText(range));
+    Object.assign(result, await resolvePermalinks(document.uri, result, vscode.workspace.getConfiguration('shareToTeams')));
+    return result;
+}
+
+/**
+ * Get the active file's changes against HEAD as a diff snippet
+ * @param {boolean} stagedHunk - Share only the staged hunk under the cursor instead of all working tree changes
+ * @returns {Promise<Object|undefined>} - Snippet, undefined if there is nothing to share
+ */
+async function getFileDiffSnippet(stagedHunk) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showErrorMessage('No active editor found');
+        return undefined;
+    }
+
+    const uri = editor.document.uri;
+    const diff = await gitService.getFileDiff(uri, stagedHunk);
+    if (!diff) {
+        vscode.window.showErrorMessage('The active file is not in a git repository.');
+        return undefined;
+    }
+    const fileName = path.basename(uri.fsPath);
+    if (!diff.text.trim()) {
+        vscode.window.showInformationMessage(stagedHunk ? `No staged changes in ${fileName}.` : `No changes in ${fileName} compared to HEAD.`);
+        return undefined;
+    }
+
+    let text = diff.text;
+    if (stagedHunk) {
+        const [file] = diffFormat.parseDiff(diff.text);
+        // Staged hunks are numbered like the index, which unstaged edits above the cursor shift
+        const cursorLine = editor.selection.active.line + 1;
+        const unstaged = await gitService.getUnstagedChanges(uri);
+        const indexLine = unstaged ? diffFormat.mapNewLineToOld(unstaged, cursorLine) : cursorLine;
+        let hunk = indexLine ? diffFormat.findHunkAtLine(file, indexLine) : undefined;
+        if (!hunk) {
+            const selected = await vscode.window.showQuickPick(file.hunks.map(h => ({
+                label: h.header,
+                description: `${h.lines.filter(l => l.type !== 'context').length} changed line(s)`,
+                hunk: h
+            })), { title: 'Share Staged Hunk', placeHolder: 'No staged hunk under the cursor. Select one to share' });
+            if (!selected) {
+                return undefined;
+            }
+            hunk = selected.hunk;
+        }
+        text = diffFormat.createHunkPatch(file, hunk);
+    }
+
+    return {
+        text: text,
+        languageId: 'diff',
+        fileName: `${fileName}.diff`,
+        filePath: uri.scheme === 'file' ? uri.fsPath : null,
+        documentUri: uri.toString(),
+        diff: { branch: diff.branch, fromRef: diff.fromRef, toRef: diff.toRef }
+    };
+}
+
+/**
+ * Let the user pick a commit or a range of commits and get its diff as a snippet
+ * @returns {Promise<Object|undefined>} - Snippet, undefined if there is nothing to share
+ */
+async function getCommitDiffSnippet() {
+    const repository = await gitService.getActiveRepository();
+    if (!repository) {
+        vscode.window.showErrorMessage('No git repository is open.');
+        return undefined;
+    }
+
+    const commits = await repository.log({ maxEntries: 50 });
+    const selected = await new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = 'Share Commits to Teams';
+        quickPick.placeholder = 'Select a commit, or two to share everything from the older through the newer';
+        quickPick.canSelectMany = true;
+        quickPick.matchOnDescription = true;
+        quickPick.items = commits.map((commit, index) => ({
+            label: commit.message.split('\n')[0],
+            description: `${gitService.shortSha(commit.hash)} · ${commit.authorName || ''}`,
+            detail: commit.authorDate ? new Date(commit.authorDate).toLocaleString() : undefined,
+            commit: commit,
+            index: index
+        }));
+        quickPick.onDidAccept(() => {
+            resolve(quickPick.selectedItems);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            resolve(undefined);
+            quickPick.dispose();
+        });
+        quickPick.show();
+    });
+    if (!selected || selected.length === 0) {
+        return undefined;
+    }
+    if (selected.length > 2) {
+        vscode.window.showErrorMessage('Select one commit, or two commits to share a range.');
+        return undefined;
+    }
+
+    // The log is newest first, so the higher index is the older commit
+    const [newest, oldest] = [...selected].sort((a, b) => a.index - b.index).map(item => item.commit);
+    const first = oldest || newest;
+    if (!first.parents || first.parents.length === 0) {
+        vscode.window.showErrorMessage('The first commit of a repository has no parent to compare with.');
+        return undefined;
+    }
+
+    const fromRef = first.parents[0];
+    const text = await gitService.getCommitRangeDiff(repository, fromRef, newest.hash);
+    if (!text.trim()) {
+        vscode.window.showInformationMessage('The selected commits have no changes to share.');
+        return undefined;
+    }
+
+    const range = oldest ? `${gitService.shortSha(oldest.hash)}..${gitService.shortSha(newest.hash)}` : gitService.shortSha(newest.hash);
+    return {
+        text: text,
+        languageId: 'diff',
+        fileName: `${range}.diff`,
+        filePath: null,
+        documentUri: null,
+        diff: {
+            branch: repository.state.HEAD ? repository.state.HEAD.name : null,
+            fromRef: gitService.shortSha(fromRef),
+            toRef: gitService.shortSha(newest.hash)
+        }
+    };
+}
+
+/**
+ * Get the terminal selection, or else the output of the last command, as a snippet
+ * @returns {Promise<Object|undefined>} - Snippet, undefined if there is nothing to share
+ */
+async function getTerminalSnippet() {
+    const terminal = vscode.window.activeTerminal;
+    if (!terminal) {
+        vscode.window.showErrorMessage('No active terminal found');
+        return undefined;
+    }
+
+    const selection = terminalCapture.cleanOutput(await terminalCapture.getTerminalSelection());
+    const lastExecution = terminalCapture.getLastExecution(terminal);
+    const lastOutput = lastExecution ? terminalCapture.cleanOutput(lastExecution.output) : '';
+    if (!selection && !lastOutput) {
+        vscode.window.showErrorMessage(lastExecution
+            ? 'The last command printed nothing. Select text in the terminal to share it.'
+            : 'Select text in the terminal first. With shell integration enabled, the output of the last command is shared when nothing is selected.');
+        return undefined;
+    }
+
+    // A selection taken from the last command's output still gets its command line and exit code
+    const execution = !selection || lastOutput.includes(selection) ? lastExecution : null;
+    return {
+        text: selection || lastOutput,
+        languageId: null,
+        fileName: null,
+        filePath: null,
+        documentUri: null,
+        terminal: {
+            name: terminal.name,
+            commandLine: execution ? execution.commandLine : null,
+            exitCode: execution ? execution.exitCode : null
+        }
+    };
+}
+
+/**
+ * Add the account a share will be sent as to a progress title
+ * @param {string} title - Progress title
+ * @returns {Promise<string>} - Title with the account, if anyone is signed in
+ */
+async function getProgressTitle(title) {
+    const account = await auth.getCurrentAccount();
+    return account ? `${title} as ${account.label}` : title;
+}
+
+/**
+ * Share a snippet: check it for secrets, pick a target and send it
+ * @param {Object} snippet - Snippet from createSnippet
+ * @param {Object} [target] - Target to send to without asking, e.g. the last one used
+ */
+async function shareSnippet(snippet, target) {
+    const config = vscode.workspace.getConfiguration('shareToTeams');
+
+    // Check for credentials before anything leaves the editor
+    const checkedText = await checkForSecrets(snippet, config);
+    if (checkedText === undefined) {
+        return; // User cancelled
+    }
+    snippet.text = checkedText;
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: await getProgressTitle("Share code snippet to Teams"),
+        cancellable: false
+    }, async (progress) => {
+        const shareTarget = target || await pickShareTarget(progress);
+        if (!shareTarget) {
+            return; // User cancelled
+        }
+
+        // Asks for consent to the target's scopes the first time they are needed
+        progress.report({ message: "Authenticating..." });
+        const accessToken = await requireAccessToken(getTargetScopes(shareTarget));
+
+        const composed = config.get('showComposer', true)
+            ? await composeMessage(accessToken, progress, shareTarget, snippet)
+            : snippet;
+        if (!composed) {
+            return; // User cancelled
+        }
+
+        await sendToTarget(accessToken, progress, shareTarget, composed);
+    });
+}
+
+/**
+ * Get a token with the given scopes, asking for consent the first time they are needed
+ * @param {Array<string>} scopes - Scopes from auth.SCOPES
+ * @returns {Promise<string>} - Microsoft Graph API access token
+ */
+async function requireAccessToken(scopes) {
+    const accessToken = await auth.getAccessToken(scopes);
+    if (!accessToken) {
+        throw new Error('Authentication failed');
+    }
+    return accessToken;
+}
+
+/**
+ * Get the scopes needed to send to a target
+ * @param {Object} target - Share target
+ * @returns {Array<string>} - Scopes from auth.SCOPES
+ */
+function getTargetScopes(target) {
+    if (target.type === 'channel') {
+        return auth.SCOPES.channels;
+    }
+    if (target.type === 'chat' || vscode.workspace.getConfiguration('shareToTeams').get('preferDirectApi', true)) {
+        return auth.SCOPES.chat;
+    }
+    return auth.SCOPES.contacts; // Deep links only need the contact list
+}
+
+/**
+ * Open the composer so the user can add a note and mentions before sending
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @param {Object} target - Share target
+ * @param {Object} snippet - Snippet being shared
+ * @returns {Promise<Object|undefined>} - Composed snippet, undefined if cancelled
+ */
+async function composeMessage(accessToken, progress, target, snippet) {
+    let mentionables = [];
+    if (target.type === 'people') {
+        mentionables = target.recipients.map(r => ({ displayName: r.displayName, email: r.email }));
+    } else if (target.type === 'chat') {
+        try {
+            const members = await teamsService.getChatMembers(accessToken, target.chatId);
+            mentionables = members.map(m => ({ displayName: m.displayName, email: m.email, userId: m.userId }));
+        } catch (error) {
+            console.error('Could not load chat members for mentions:', error);
+        }
+    }
+
+    progress.report({ message: "Compose your message..." });
+    return composer.openComposer(snippet, shareHistory.getTargetName(target), mentionables);
+}
+
+/**
+ * Look up the Teams user IDs of people mentioned in the note from the chat's members
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} chatId - ID of the chat the message goes to
+ * @param {Object} snippet - Snippet being shared
+ * @param {Object} message - Message built by buildShareMessage
+ * @returns {Promise<{ snippet: Object, message: Object }>} - Snippet and message with resolved mentions
+ */
+async function resolveMentions(accessToken, chatId, snippet, message) {
+    if (!snippet.mentions || !snippet.mentions.some(m => !m.userId)) {
+        return { snippet, message };
+    }
+
+    const members = await teamsService.getChatMembers(accessToken, chatId);
+    const mentions = snippet.mentions.map(mention => {
+        const member = members.find(m => m.email && mention.email && m.email.toLowerCase() === mention.email.toLowerCase());
+        return mention.userId || !member ? mention : { ...mention, userId: member.userId };
+    });
+    const resolved = { ...snippet, mentions };
+    return { snippet: resolved, message: formatting.buildShareMessage(resolved, vscode.workspace.getConfiguration('shareToTeams')) };
+}
+
+/**
+ * Let the user choose people, an existing chat or a channel to share with
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @returns {Promise<Object|undefined>} - Share target, undefined if cancelled
+ */
+async function pickShareTarget(progress) {
+    const targetType = await showShareTargetPicker();
+    if (!targetType) {
+        return undefined; // User cancelled
+    }
+
+    progress.report({ message: "Authenticating..." });
+    switch (targetType) {
+        case 'chat':
+            return pickChatTarget(await requireAccessToken(auth.SCOPES.chat), progress);
+        case 'channel':
+            return pickChannelTarget(await requireAccessToken(auth.SCOPES.channels), progress);
+        default:
+            return pickPeopleTarget(await requireAccessToken(auth.SCOPES.contacts), progress);
+    }
+}
+
+/**
+ * Send a snippet to a target and record it in the share history
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @param {Object} target - Share target from pickShareTarget
+ * @param {Object} snippet - Snippet to send
+ * @returns {Promise<Object|undefined>} - deliveryMode and webUrl, undefined if the user cancelled
+ */
+async function sendToTarget(accessToken, progress, target, snippet) {
+    const message = formatting.buildShareMessage(snippet, vscode.workspace.getConfiguration('shareToTeams'));
+
+    let result;
+    switch (target.type) {
+        case 'chat':
+            result = await sendToChat(accessToken, progress, target, snippet, message);
+            break;
+        case 'channel':
+            result = await sendToChannel(accessToken, progress, target, snippet, message);
+            break;
+        default:
+            result = await sendToPeople(accessToken, progress, target, snippet, message);
+    }
+
+    if (result) {
+        await shareHistory.addEntry({ target, snippet, ...result });
+        if (target.type === 'people') {
+            await recipientUsage.recordUsage(target.recipients);
+        }
+    }
+    return result;
+}
+
+/**
+ * Get the Teams URL of a recorded share: the message itself, or else its conversation
+ * @param {Object} entry - Share history entry
+ * @returns {string} - Teams URL
+ */
+function getShareTeamsUrl(entry) {
+    const { target } = entry;
+    if (entry.webUrl) {
+        return entry.webUrl;
+    }
+    if (target.type === 'chat' || target.chatId) {
+        return contactsService.createTeamsChatLink(target.chatId);
+    }
+    if (target.type === 'channel' && target.webUrl) {
+        return target.webUrl;
+    }
+    return contactsService.createTeamsDeepLink((target.recipients || []).map(r => r.email), '');
 }
 
 /**
@@ -241,24 +923,123 @@ async function getRecipients(accessToken) {
 
 /**
  * Show UI for selecting recipients
+ * With an access token, typing searches the directory and the people you work with,
+ * listing matches that aren't loaded yet under "Directory".
  * @param {Array} recipients - List of recipients
- * @returns {Promise<Array>} - Selected recipients
- */
-async function showRecipientSelector(recipients) {
-    // Create QuickPick items with detailed info
-    const items = recipients.map(r => ({
-        label: r.displayName,
-        description: r.email,
-        detail: getRecipientDetail(r),
-        recipient: r
+ * @param {Array<string>} [preselectedEmails] - Emails of recipients to select initially
+ * @param {string} [accessToken] - Microsoft Graph API access token for directory search
+ * @returns {Promise<Array>} - Selected recipients, with selected groups expanded to their members
+ */
+async function showRecipientSelector(recipients, preselectedEmails = [], accessToken) {
+    // Recipient groups come first and expand to their members when accepted
+    const groupItems = recipientGroups.getGroups().map(group => ({
+        label: `$(organization) ${group.name}`,
+        description: `${group.members.length} member(s)${group.scope === 'workspace' ? ' · workspace' : ''}`,
+        detail: group.members.join(', '),
+        group: group
     }));
+
+    // Create QuickPick items with detailed info, most used recipients first.
+    // Items are reused per email so selections survive when the list is rebuilt.
+    const itemsByEmail = new Map();
+    const toItem = (r) => {
+        const key = r.email.toLowerCase();
+        if (!itemsByEmail.has(key)) {
+            itemsByEmail.set(key, {
+                label: r.displayName,
+                description: r.email,
+                detail: getRecipientDetail(r),
+                recipient: r
+            });
+        }
+        return itemsByEmail.get(key);
+    };
+    const recentEmails = new Set(recipientUsage.getRecentEmails(RECENT_RECIPIENTS_COUNT));
+    const ranked = recipientUsage.rankRecipients(recipients);
+    const recentItems = ranked.filter(r => recentEmails.has(r.email.toLowerCase())).map(toItem);
+    const otherItems = ranked.filter(r => !recentEmails.has(r.email.toLowerCase())).map(toItem);
+    const localItems = new Set([...recentItems, ...otherItems]);
+    let directoryItems = [];
+
+    const separator = (label) => ({ label, kind: vscode.QuickPickItemKind.Separator });
+    const buildSections = () => {
+        const sections = [];
+        if (groupItems.length > 0) {
+            sections.push(separator('Groups'), ...groupItems);
+        }
+        if (recentItems.length > 0) {
+            sections.push(separator('Recent'), ...recentItems);
+        }
+        sections.push(separator('All'), ...otherItems);
+        if (directoryItems.length > 0) {
+            sections.push(separator('Directory'), ...directoryItems);
+        }
+        return sections;
+    };
     
     // Create multi-select QuickPick
     const quickPick = vscode.window.createQuickPick();
     quickPick.title = "Select Teams Recipients";
-    quickPick.placeholder = "Search by name or email";
-    quickPick.items = items;
+    quickPick.placeholder = accessToken ? "Search by name or email, including your whole directory" : "Search by name or email";
+    quickPick.items = buildSections();
     quickPick.canSelectMany = true;
+    quickPick.matchOnDescription = true;
+    quickPick.matchOnDetail = true;
+    quickPick.keepScrollPosition = true;
+
+    const preselected = new Set(preselectedEmails.map(email => email.toLowerCase()));
+    quickPick.selectedItems = [...localItems].filter(item => preselected.has(item.recipient.email.toLowerCase()));
+    let selection = quickPick.selectedItems;
+    quickPick.onDidChangeSelection(items => {
+        selection = items;
+    });
+
+    /**
+     * List directory matches, keeping earlier matches that are selected
+     * @param {Array<Object>} results - Recipients found by the search
+     */
+    const showSearchResults = (results) => {
+        const found = results.map(toItem).filter(item => !localItems.has(item));
+        // Graph matches on more than the label and details, so the QuickPick mustn't filter these out
+        found.forEach(item => {
+            item.alwaysShow = true;
+        });
+        const kept = selection.filter(item => item.recipient && !localItems.has(item) && !found.includes(item));
+        const selected = selection;
+        directoryItems = [...kept, ...found];
+        quickPick.items = buildSections();
+        quickPick.selectedItems = selected;
+    };
+
+    // Search after typing pauses; responses to older queries are dropped
+    let searchTimer;
+    let searchCount = 0;
+    if (accessToken) {
+        quickPick.onDidChangeValue(value => {
+            clearTimeout(searchTimer);
+            const search = ++searchCount;
+            const query = value.trim();
+            if (query.length < MIN_SEARCH_LENGTH) {
+                quickPick.busy = false;
+                return;
+            }
+            searchTimer = setTimeout(async () => {
+                quickPick.busy = true;
+                try {
+                    const results = await contactsService.searchRecipients(accessToken, query);
+                    if (search === searchCount) {
+                        showSearchResults(results);
+                    }
+                } catch (error) {
+                    console.log('Directory search failed:', error.message);
+                } finally {
+                    if (search === searchCount) {
+                        quickPick.busy = false;
+                    }
+                }
+            }, SEARCH_DEBOUNCE_MS);
+        });
+    }
     
     // Add buttons
     quickPick.buttons = [
@@ -271,12 +1052,16 @@ async function showRecipientSelector(recipients) {
     // Return promise that resolves when selection is made
     return new Promise((resolve) => {
         quickPick.onDidAccept(() => {
-            const selected = quickPick.selectedItems.map(item => item.recipient);
+            const selectedRecipients = quickPick.selectedItems.filter(item => item.recipient).map(item => item.recipient);
+            const selectedGroups = quickPick.selectedItems.filter(item => item.group).map(item => item.group);
+            const known = [...recipients, ...directoryItems.map(item => item.recipient)];
             quickPick.hide();
-            resolve(selected);
+            resolve(uniqueRecipients([...selectedRecipients, ...recipientGroups.expandGroups(selectedGroups, known)]));
         });
         
         quickPick.onDidHide(() => {
+            clearTimeout(searchTimer);
+            searchCount++;
             resolve([]);
         });
         
@@ -292,6 +1077,469 @@ async function showRecipientSelector(recipients) {
     });
 }
 
+/**
+ * Remove recipients with duplicate email addresses, keeping the first
+ * @param {Array<Object>} recipients - Recipients
+ * @returns {Array<Object>} - Unique recipients
+ */
+function uniqueRecipients(recipients) {
+    const seen = new Set();
+    return recipients.filter(r => {
+        const key = r.email.toLowerCase();
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Ask whether a recipient group belongs to the user or to the workspace
+ * @returns {Promise<string|undefined>} - 'user' or 'workspace', undefined if cancelled
+ */
+async function pickGroupScope() {
+    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+        return 'user';
+    }
+    const selected = await vscode.window.showQuickPick([
+        { label: '$(root-folder) Workspace', detail: 'Stored in workspace settings, so it can be committed with the repository', scope: 'workspace' },
+        { label: '$(account) User', detail: 'Stored in your user settings and available in every workspace', scope: 'user' }
+    ], {
+        title: 'Recipient Group Scope',
+        placeHolder: 'Where should the group be stored?'
+    });
+    return selected ? selected.scope : undefined;
+}
+
+/**
+ * Let the user choose the members of a recipient group
+ * Falls back to typing email addresses when contacts can't be loaded.
+ * @param {Array<string>} [currentMembers] - Emails of the current members
+ * @returns {Promise<Array<string>|undefined>} - Member emails, undefined if cancelled
+ */
+async function pickGroupMembers(currentMembers = []) {
+    let recipients = null;
+    let accessToken = null;
+    try {
+        recipients = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Fetching contacts..."
+        }, async () => {
+            accessToken = await auth.getAccessToken();
+            return accessToken ? getRecipients(accessToken) : null;
+        });
+    } catch (error) {
+        console.log('Unable to load contacts for group members:', error.message);
+    }
+
+    if (recipients && recipients.length > 0) {
+        // Keep current members that aren't in the contact list selectable
+        const known = new Set(recipients.map(r => r.email.toLowerCase()));
+        const extra = recipients.concat(currentMembers
+            .filter(email => !known.has(email.toLowerCase()))
+            .map(email => ({ id: `manual-${email.toLowerCase()}`, displayName: email, email: email, isManual: true })));
+        const selected = await showRecipientSelector(extra, currentMembers, accessToken);
+        return selected.length > 0 ? selected.map(r => r.email) : undefined;
+    }
+
+    const input = await vscode.window.showInputBox({
+        prompt: 'Enter the email addresses of the group members, separated by commas',
+        value: currentMembers.join(', '),
+        validateInput: (text) => {
+            const emails = text.split(',').map(e => e.trim()).filter(Boolean);
+            if (emails.length === 0) {
+                return 'Enter at least one email address';
+            }
+            const invalid = emails.find(e => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e));
+            return invalid ? `"${invalid}" is not a valid email address` : null;
+        }
+    });
+    return input ? input.split(',').map(e => e.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * Ask where the snippet should go
+ * @returns {Promise<string|undefined>} - 'people', 'chat' or 'channel', undefined if cancelled
+ */
+async function showShareTargetPicker() {
+    const items = [
+        {
+            label: '$(person) People',
+            detail: 'Pick recipients from your contacts and colleagues',
+            target: 'people'
+        },
+        {
+            label: '$(comment-discussion) Existing chat',
+            detail: 'Pick one of your 1:1 or group chats',
+            target: 'chat'
+        },
+        {
+            label: '$(organization) Channel',
+            detail: 'Post in a team channel or reply to one of its threads',
+            target: 'channel'
+        }
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, {
+        title: 'Share to Teams',
+        placeHolder: 'Where do you want to share this snippet?'
+    });
+    return selected ? selected.target : undefined;
+}
+
+/**
+ * Let the user pick contacts and colleagues to share with
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @returns {Promise<Object|undefined>} - People target, undefined if cancelled
+ */
+async function pickPeopleTarget(accessToken, progress) {
+    // Get recipients
+    progress.report({ message: "Fetching contacts..." });
+    const recipients = await getRecipients(accessToken);
+
+    if (!recipients || recipients.length === 0) {
+        throw new Error('No contacts found. Please ensure you have contacts in your Microsoft account.');
+    }
+
+    // Pre-select the configured default recipients, adding any that aren't in the list
+    const defaultRecipients = vscode.workspace.getConfiguration('shareToTeams').get('defaultRecipients', []);
+    const known = new Set(recipients.map(r => r.email.toLowerCase()));
+    const missingDefaults = defaultRecipients
+        .filter(email => !known.has(email.toLowerCase()))
+        .map(email => ({ id: `manual-${email.toLowerCase()}`, displayName: email, email: email, isManual: true }));
+
+    // Show QuickPick UI for selecting recipients
+    progress.report({ message: "Select contacts to share with..." });
+    const selectedRecipients = await showRecipientSelector([...recipients, ...missingDefaults], defaultRecipients, accessToken);
+
+    if (!selectedRecipients || selectedRecipients.length === 0) {
+        return undefined; // User cancelled
+    }
+
+    return {
+        type: 'people',
+        recipients: selectedRecipients.map(r => ({
+            email: r.email,
+            displayName: r.displayName,
+            userPrincipalName: r.userPrincipalName
+        }))
+    };
+}
+
+/**
+ * Send a snippet to people, through Graph when preferred and otherwise with a deep link
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @param {Object} target - People target
+ * @param {Object} snippet - Snippet being shared
+ * @param {Object} message - Message built by buildShareMessage
+ * @returns {Promise<Object|undefined>} - deliveryMode and webUrl, undefined if the user cancelled
+ */
+async function sendToPeople(accessToken, progress, target, snippet, message) {
+    const recipients = target.recipients;
+
+    // Post directly through Graph when preferred, falling back to the deep link
+    if (vscode.workspace.getConfiguration('shareToTeams').get('preferDirectApi', true)) {
+        try {
+            progress.report({ message: "Sending message..." });
+            const chat = await teamsService.getOrCreateChat(accessToken, recipients);
+            const resolved = await resolveMentions(accessToken, chat.id, snippet, message);
+            const sent = await delivery.deliverMessage(resolved.snippet, resolved.message,
+                (content, options) => teamsService.sendMessage(accessToken, chat.id, content, options), progress);
+            if (!sent) {
+                return undefined;
+            }
+
+            target.chatId = chat.id;
+            vscode.window.showInformationMessage(`Code sent to Teams for ${recipients.length} recipient(s).`);
+            return { deliveryMode: 'graph', webUrl: sent.webUrl };
+        } catch (error) {
+            if (delivery.isPartialDelivery(error)) {
+                reportPartialDelivery(error, `${recipients.length} recipient(s)`);
+                return undefined;
+            }
+            console.error('Direct send failed, falling back to deep link:', error);
+            vscode.window.showWarningMessage(`Could not send directly (${error.message}). Opening Teams instead.`);
+        }
+    }
+
+    // Create deep link and open it
+    progress.report({ message: "Opening Teams..." });
+    const emails = recipients.map(r => r.email);
+    const createLink = (text) => contactsService.createTeamsDeepLink(emails, text);
+    const linkText = await delivery.prepareDeepLinkText(snippet, message.text, createLink);
+    if (linkText === undefined) {
+        return undefined; // User cancelled
+    }
+    await vscode.env.openExternal(vscode.Uri.parse(createLink(linkText)));
+
+    vscode.window.showInformationMessage(`Code shared to Teams for ${recipients.length} recipient(s).`);
+    return { deliveryMode: 'deepLink' };
+}
+
+/**
+ * Tell the user a split snippet was only partly sent
+ * No fallback is offered, since it would post the parts already sent a second time.
+ * @param {Error} error - Partial delivery error from deliverMessage
+ * @param {string} targetName - Name of the target for the message
+ */
+function reportPartialDelivery(error, targetName) {
+    console.error('Split send stopped partway:', error);
+    vscode.window.showErrorMessage(`Only part of the snippet reached ${targetName}. ${error.message}`);
+}
+
+/**
+ * Let the user pick one of their chats
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @returns {Promise<Object|undefined>} - Chat target, undefined if cancelled
+ */
+async function pickChatTarget(accessToken, progress) {
+    progress.report({ message: "Fetching chats..." });
+    const [chats, currentUser] = await Promise.all([
+        teamsService.getChats(accessToken),
+        teamsService.getCurrentUser(accessToken)
+    ]);
+
+    if (!chats || chats.length === 0) {
+        throw new Error('No Teams chats found.');
+    }
+
+    progress.report({ message: "Select a chat to share with..." });
+    const chat = await showChatSelector(chats, currentUser.id);
+    if (!chat) {
+        return undefined; // User cancelled
+    }
+
+    return {
+        type: 'chat',
+        chatId: chat.id,
+        name: teamsService.getChatDisplayName(chat, currentUser.id)
+    };
+}
+
+/**
+ * Post a snippet to an existing chat
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @param {Object} target - Chat target
+ * @param {Object} snippet - Snippet being shared
+ * @param {Object} message - Message built by buildShareMessage
+ * @returns {Promise<Object|undefined>} - deliveryMode and webUrl, undefined if the user cancelled
+ */
+async function sendToChat(accessToken, progress, target, snippet, message) {
+    try {
+        progress.report({ message: "Sending message..." });
+        const sent = await delivery.deliverMessage(snippet, message,
+            (content, options) => teamsService.sendMessage(accessToken, target.chatId, content, options), progress);
+        if (!sent) {
+            return undefined;
+        }
+        vscode.window.showInformationMessage(`Code sent to "${target.name}".`);
+        return { deliveryMode: 'graph', webUrl: sent.webUrl };
+    } catch (error) {
+        if (delivery.isPartialDelivery(error)) {
+            reportPartialDelivery(error, `"${target.name}"`);
+            return undefined;
+        }
+        // Teams can't pre-fill a message in an existing chat, so open it with the snippet on the clipboard
+        console.error('Sending to chat failed, opening chat instead:', error);
+        await vscode.env.clipboard.writeText(message.text);
+        await vscode.env.openExternal(vscode.Uri.parse(contactsService.createTeamsChatLink(target.chatId)));
+        vscode.window.showWarningMessage(`Could not send directly (${error.message}). The snippet is on your clipboard; paste it into "${target.name}".`);
+        return { deliveryMode: 'deepLink' };
+    }
+}
+
+/**
+ * Show UI for selecting an existing chat
+ * @param {Array} chats - Chats sorted by last activity
+ * @param {string} currentUserId - ID of the signed-in user
+ * @returns {Promise<Object|undefined>} - Selected chat
+ */
+async function showChatSelector(chats, currentUserId) {
+    const items = chats.map(chat => ({
+        label: teamsService.getChatDisplayName(chat, currentUserId),
+        description: getChatTypeLabel(chat),
+        detail: getChatActivityDetail(chat),
+        chat: chat
+    }));
+
+    const selected = await vscode.window.showQuickPick(items, {
+        title: 'Select Teams Chat',
+        placeHolder: 'Search by topic or member name',
+        matchOnDescription: true
+    });
+    return selected ? selected.chat : undefined;
+}
+
+/**
+ * Let the user pick a team, a channel and optionally a thread to reply to
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @returns {Promise<Object|undefined>} - Channel target, undefined if cancelled
+ */
+async function pickChannelTarget(accessToken, progress) {
+    progress.report({ message: "Fetching teams..." });
+    const teams = await teamsService.getJoinedTeams(accessToken);
+    if (teams.length === 0) {
+        throw new Error('You are not a member of any team.');
+    }
+
+    progress.report({ message: "Select a team..." });
+    const team = await pickItem(teams, 'Select Team', 'Search teams', t => ({
+        label: t.displayName,
+        detail: t.description || ''
+    }));
+    if (!team) {
+        return undefined; // User cancelled
+    }
+
+    progress.report({ message: "Fetching channels..." });
+    const channels = await teamsService.getChannels(accessToken, team.id);
+    if (channels.length === 0) {
+        throw new Error(`No channels found in ${team.displayName}.`);
+    }
+
+    progress.report({ message: "Select a channel..." });
+    const channel = await pickItem(channels, `Select Channel in ${team.displayName}`, 'Search channels', c => ({
+        label: c.displayName,
+        description: c.membershipType && c.membershipType !== 'standard' ? c.membershipType : '',
+        detail: c.description || ''
+    }));
+    if (!channel) {
+        return undefined; // User cancelled
+    }
+
+    progress.report({ message: "Fetching recent threads..." });
+    const thread = await showThreadSelector(accessToken, team, channel);
+    if (thread === undefined) {
+        return undefined; // User cancelled
+    }
+
+    return {
+        type: 'channel',
+        teamId: team.id,
+        channelId: channel.id,
+        replyToId: thread ? thread.id : null,
+        name: `${team.displayName} › ${channel.displayName}`,
+        webUrl: (thread && thread.webUrl) || channel.webUrl || null
+    };
+}
+
+/**
+ * Post a snippet to a channel, as a new post or as a reply
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {vscode.Progress} progress - Progress reporter of the share notification
+ * @param {Object} target - Channel target
+ * @param {Object} snippet - Snippet being shared
+ * @param {Object} message - Message built by buildShareMessage
+ * @returns {Promise<Object|undefined>} - deliveryMode and webUrl, undefined if the user cancelled
+ */
+async function sendToChannel(accessToken, progress, target, snippet, message) {
+    const { teamId, channelId, replyToId } = target;
+    try {
+        progress.report({ message: "Sending message..." });
+        const post = replyToId
+            ? (content, options) => teamsService.replyToChannelMessage(accessToken, teamId, channelId, replyToId, content, options)
+            : (content, options) => teamsService.sendChannelMessage(accessToken, teamId, channelId, content, options);
+        const sent = await delivery.deliverMessage(snippet, message, post, progress);
+        if (!sent) {
+            return undefined;
+        }
+        vscode.window.showInformationMessage(replyToId ? `Code posted as a reply in ${target.name}.` : `Code posted to ${target.name}.`);
+        return { deliveryMode: 'graph', webUrl: sent.webUrl };
+    } catch (error) {
+        if (delivery.isPartialDelivery(error)) {
+            reportPartialDelivery(error, target.name);
+            return undefined;
+        }
+        console.error('Posting to channel failed, opening channel instead:', error);
+        await vscode.env.clipboard.writeText(message.text);
+        if (target.webUrl) {
+            await vscode.env.openExternal(vscode.Uri.parse(target.webUrl));
+        }
+        vscode.window.showWarningMessage(`Could not post directly (${error.message}). The snippet is on your clipboard; paste it into ${target.name}.`);
+        return { deliveryMode: 'deepLink' };
+    }
+}
+
+/**
+ * Offer a new post or a reply to one of the channel's latest threads
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {Object} team - Selected team
+ * @param {Object} channel - Selected channel
+ * @returns {Promise<Object|null|undefined>} - Thread root message, null for a new post, undefined if cancelled
+ */
+async function showThreadSelector(accessToken, team, channel) {
+    let messages = [];
+    try {
+        messages = await teamsService.getChannelMessages(accessToken, team.id, channel.id);
+    } catch (error) {
+        // Replying is optional, so a missing read permission shouldn't block a new post
+        console.log('Unable to list channel threads:', error.message);
+    }
+
+    const items = [
+        { label: '$(add) New post', detail: `Start a new conversation in ${channel.displayName}`, message: null },
+        ...messages.map(message => ({
+            label: `$(reply) ${teamsService.getMessagePreview(message)}`,
+            description: message.from && message.from.user ? message.from.user.displayName : '',
+            detail: message.createdDateTime ? new Date(message.createdDateTime).toLocaleString() : '',
+            message: message
+        }))
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, {
+        title: `Post in ${channel.displayName}`,
+        placeHolder: 'Start a new post or reply to a recent thread',
+        matchOnDescription: true
+    });
+    return selected ? selected.message : undefined;
+}
+
+/**
+ * Show a single-select QuickPick over arbitrary objects
+ * @param {Array} values - Objects to pick from
+ * @param {string} title - QuickPick title
+ * @param {string} placeHolder - QuickPick placeholder
+ * @param {Function} toItem - Maps a value to label/description/detail
+ * @returns {Promise<Object|undefined>} - Selected value
+ */
+async function pickItem(values, title, placeHolder, toItem) {
+    const items = values.map(value => ({ ...toItem(value), value: value }));
+    const selected = await vscode.window.showQuickPick(items, { title, placeHolder, matchOnDescription: true });
+    return selected ? selected.value : undefined;
+}
+
+/**
+ * Get a short label for the kind of chat
+ * @param {Object} chat - Graph chat object
+ * @returns {string} - Chat type label
+ */
+function getChatTypeLabel(chat) {
+    switch (chat.chatType) {
+        case 'oneOnOne':
+            return '1:1 chat';
+        case 'meeting':
+            return 'Meeting chat';
+        default:
+            return 'Group chat';
+    }
+}
+
+/**
+ * Describe when a chat was last active
+ * @param {Object} chat - Graph chat object
+ * @returns {string} - Formatted last activity
+ */
+function getChatActivityDetail(chat) {
+    const lastActivity = teamsService.getChatLastActivity(chat);
+    return lastActivity ? `Last active ${new Date(lastActivity).toLocaleString()}` : '';
+}
+
 /**
  * Get detailed information for a recipient
  * @param {Object} recipient - Recipient object
@@ -312,14 +1560,119 @@ function getRecipientDetail(recipient) {
 }
 
 /**
- * Format the selected code as a code block
+ * Collect the selected code and where it came from
+ * @param {vscode.TextDocument} document - Document containing the selection
+ * @param {vscode.Selection} selection - Selected range
  * @param {string} text - Selected text
- * @param {string|null} languageId - Language identifier
- * @returns {string} - Formatted code block
+ * @returns {Object} - Snippet with text, languageId, fileName, filePath, documentUri, startLine and endLine
+ */
+function createSnippet(document, selection, text) {
+    const isFile = document.uri.scheme === 'file';
+    return {
+        text: text,
+        languageId: document.languageId,
+        fileName: path.basename(document.fileName),
+        filePath: isFile ? document.uri.fsPath : null,
+        documentUri: document.uri.toString(),
+        startLine: selection.start.line + 1,
+        // A selection of whole lines ends at column 0 of the line below, which isn't shared
+        endLine: selection.end.line + (selection.end.character === 0 && !selection.isEmpty ? 0 : 1)
+    };
+}
+
+/**
+ * Scan the snippet for credentials and let the user redact them, send anyway or cancel
+ * @param {Object} snippet - Snippet from createSnippet
+ * @param {vscode.WorkspaceConfiguration} config - shareToTeams configuration
+ * @returns {Promise<string|undefined>} - Text to share, undefined if cancelled
  */
-function formatCodeSnippet(text, languageId) {
-    const language = languageId || '';
-    return `\`\`\`${language}\n${text}\n\`\`\``;
+async function checkForSecrets(snippet, config) {
+    if (!config.get('secretScan.enabled', true)) {
+        return snippet.text;
+    }
+
+    const disabledRules = config.get('secretScan.disabledRules', []);
+    const findings = secretScanner.scan(snippet.text, {
+        rules: secretScanner.createRules({
+            disabledRules,
+            customRules: config.get('secretScan.customRules', [])
+        }),
+        fileName: snippet.fileName,
+        entropyThreshold: config.get('secretScan.entropyThreshold', 4.0),
+        disabledRules,
+        allowlist: config.get('secretScan.allowlist', [])
+    });
+    if (findings.length === 0) {
+        return snippet.text;
+    }
+
+    const detail = findings
+        .map(f => secretScanner.describeFinding(f, snippet.startLine))
+        .join('\n');
+    const choice = await vscode.window.showWarningMessage(
+        `The selection looks like it contains ${findings.length} secret(s).`,
+        { modal: true, detail: detail },
+        'Redact and Continue', 'Send Anyway'
+    );
+
+    if (choice === 'Redact and Continue') {
+        return secretScanner.redact(snippet.text, findings);
+    }
+    return choice === 'Send Anyway' ? snippet.text : undefined;
+}
+
+/**
+ * Build source-control permalinks for the snippet, if the file is in a hosted git repository
+ * @param {vscode.Uri} uri - Document URI
+ * @param {Object} snippet - Snippet from createSnippet
+ * @param {vscode.WorkspaceConfiguration} config - shareToTeams configuration
+ * @returns {Promise<{ repositoryUrl: string|null, repositoryFileUrl: string|null }>} - Links to the
+ *          selected lines and to the whole file, null when unavailable or declined
+ */
+async function resolvePermalinks(uri, snippet, config) {
+    const none = { repositoryUrl: null, repositoryFileUrl: null };
+    if (!config.get('includePermalink', true)) {
+        return none;
+    }
+
+    const gitContext = await gitService.getFileGitContext(uri);
+    if (!gitContext || !gitContext.remoteUrl || !gitContext.commit) {
+        return none;
+    }
+
+    let ref = gitContext.commit;
+    let refType = 'commit';
+    if (!gitContext.isPushed) {
+        let useBranch = true;
+        if (config.get('warnOnUnpushedCommit', true)) {
+            const choice = await vscode.window.showWarningMessage(
+                `Commit ${gitContext.commit.slice(0, 7)} hasn't been pushed, so a link to it won't open for others.`,
+                'Link to Branch', 'Link to Commit', 'No Link'
+            );
+            if (!choice || choice === 'No Link') {
+                return none;
+            }
+            useBranch = choice === 'Link to Branch';
+        }
+        if (useBranch) {
+            if (!gitContext.branch) {
+                return none;
+            }
+            ref = gitContext.branch;
+            refType = 'branch';
+        }
+    }
+
+    const linkParams = {
+        remoteUrl: gitContext.remoteUrl,
+        ref: ref,
+        refType: refType,
+        filePath: gitContext.relativePath
+    };
+    return {
+        repositoryUrl: permalink.createPermalink({ ...linkParams, startLine: snippet.startLine, endLine: snippet.endLine }),
+        repositoryFileUrl: permalink.createPermalink(linkParams)
+    };
 }
 
 /**
@@ -330,5 +1683,7 @@ function deactivate() {}
 module.exports = {
     activate,
     deactivate,
-    formatCodeSnippet
+    formatCodeSnippet: formatting.formatCodeSnippet,
+    formatCodeSnippetHtml: formatting.formatCodeSnippetHtml,
+    showRecipientSelector
 };
\ No newline at end of file
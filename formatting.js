@@ -0,0 +1,306 @@
+const adaptiveCard = require('./adaptiveCard');
+const highlighter = require('./highlighter');
+const diffFormat = require('./diffFormat');
+
+/**
+ * Build the message for a snippet in the configured format
+ * @param {Object} snippet - Snippet from createSnippet, optionally with a note, mentions and display options from the composer
+ * @param {vscode.WorkspaceConfiguration} config - shareToTeams configuration
+ * @returns {{ text: string, content: string, options: Object }} - Markdown text for deep links and
+ *          clipboard fallbacks, plus the Graph message body and options
+ */
+function buildShareMessage(snippet, config) {
+    if (snippet.diff) {
+        return buildDiffMessage(snippet, config);
+    }
+
+    const display = getDisplayOptions(snippet, config);
+    const languageId = display.includeLanguage ? snippet.languageId : null;
+    const firstLine = snippet.startLine || 1;
+    // Indexes of lines to mark within the snippet, e.g. the line a shared diagnostic is on
+    const markedIndexes = (snippet.markedLines || []).map(line => line - firstLine);
+    let code = markedIndexes.length > 0 ? markLines(snippet.text, markedIndexes) : snippet.text;
+    code = display.includeLineNumbers ? addLineNumbers(code, firstLine) : code;
+    const note = formatNoteHtml(snippet.note, snippet.mentions);
+    const context = getContextHeader(snippet);
+    const options = { contentType: 'html' };
+    if (note.mentions.length > 0) {
+        options.mentions = note.mentions;
+    }
+
+    let text = formatCodeSnippet(code, languageId);
+    if (context.text) {
+        text = `${context.text}\n\n${text}`;
+    }
+    if (snippet.note && snippet.note.trim()) {
+        text = `${snippet.note.trim()}\n\n${text}`;
+    }
+    if (snippet.repositoryUrl) {
+        text += `\n${snippet.repositoryUrl}`;
+    }
+
+    if (config.get('messageFormat', 'html') === 'adaptiveCard') {
+        const card = adaptiveCard.buildCodeCard({ ...snippet, text: code }, display);
+        const { content, attachments } = adaptiveCard.createCardAttachment(card);
+        return { text, content: `${note.html}${context.html}${content}`, options: { ...options, attachments } };
+    }
+
+    const lineRange = adaptiveCard.formatLineRange(snippet.startLine, snippet.endLine);
+    const location = `${snippet.fileName}${lineRange ? ` (${lineRange})` : ''}`;
+    let content = `${note.html}${context.html}`;
+    if (display.includeFileName && snippet.fileName && !snippet.repositoryUrl) {
+        content += `<p><b>${escapeHtml(location)}</b></p>`;
+    }
+    if (config.get('messageFormat', 'html') === 'highlightedHtml') {
+        // Highlighting needs the language even when it isn't shown, and numbers lines itself
+        const palette = highlighter.getPalette(config.get('highlightTheme', 'light'));
+        content += highlighter.highlightHtml(snippet.text, snippet.languageId, palette, {
+            firstLine: display.includeLineNumbers ? firstLine : undefined,
+            markedLines: markedIndexes
+        });
+    } else {
+        content += formatCodeSnippetHtml(code, languageId);
+    }
+    if (snippet.repositoryUrl) {
+        const linkText = display.includeFileName && snippet.fileName ? location : 'View in repository';
+        content += `<p><a href="${escapeHtml(snippet.repositoryUrl)}">${escapeHtml(linkText)}</a></p>`;
+    }
+
+    return {
+        text: text,
+        content: content,
+        options: options
+    };
+}
+
+/**
+ * Build the message for a diff snippet: a diff block for deep links, side-by-side HTML for direct sends
+ * @param {Object} snippet - Snippet whose text is a unified diff, with branch and refs in snippet.diff
+ * @param {vscode.WorkspaceConfiguration} config - shareToTeams configuration
+ * @returns {{ text: string, content: string, options: Object }} - Message, as from buildShareMessage
+ */
+function buildDiffMessage(snippet, config) {
+    const files = diffFormat.parseDiff(snippet.text);
+    const note = formatNoteHtml(snippet.note, snippet.mentions);
+    const options = { contentType: 'html' };
+    if (note.mentions.length > 0) {
+        options.mentions = note.mentions;
+    }
+
+    const fileLabel = files.length === 1 ? diffFormat.getFilePath(files[0]) : files.length > 1 ? `${files.length} files` : snippet.fileName;
+    const { branch, fromRef, toRef } = snippet.diff;
+    const details = [branch ? `branch ${branch}` : null, fromRef && toRef ? `${fromRef} → ${toRef}` : null].filter(Boolean);
+    let text = `**${fileLabel}**${details.length > 0 ? ` (${details.join(', ')})` : ''}\n\n${formatCodeSnippet(snippet.text, 'diff')}`;
+    if (snippet.note && snippet.note.trim()) {
+        text = `${snippet.note.trim()}\n\n${text}`;
+    }
+
+    // Parts of a split diff may have no hunk header left to pair lines with
+    const sideBySide = config.get('diffFormat', 'sideBySide') === 'sideBySide' && files.some(f => f.hunks.length > 0);
+    const header = `<p><b>${escapeHtml(fileLabel)}</b>${details.length > 0 ? ` · ${escapeHtml(details.join(' · '))}` : ''}</p>`;
+    const body = sideBySide ? formatDiffHtml(files) : formatCodeSnippetHtml(snippet.text, 'diff');
+    return { text, content: `${note.html}${header}${body}`, options };
+}
+
+/**
+ * Render parsed diff files as a side-by-side table with inline styles
+ * @param {Array<Object>} files - Files from parseDiff
+ * @returns {string} - HTML table
+ */
+function formatDiffHtml(files) {
+    const cell = 'padding:0 6px;vertical-align:top;white-space:pre;font-family:Consolas,\'Courier New\',monospace;font-size:12px';
+    const backgrounds = { add: '#e6ffec', delete: '#ffebe9', context: '#ffffff', empty: '#f6f8fa' };
+    const side = (line, number) => {
+        const background = line ? backgrounds[line.type] : backgrounds.empty;
+        return `<td style="${cell};color:#6e7781;text-align:right;background-color:${background}">${line ? number : ''}</td>` +
+            `<td style="${cell};background-color:${background}">${line ? escapeHtml(line.text) : ''}</td>`;
+    };
+
+    const rows = [];
+    files.forEach(file => {
+        rows.push(`<tr><td colspan="4" style="${cell};font-weight:bold;background-color:#f6f8fa">${escapeHtml(diffFormat.getFilePath(file))}</td></tr>`);
+        file.hunks.forEach(hunk => {
+            rows.push(`<tr><td colspan="4" style="${cell};color:#6e7781;background-color:#ddf4ff">${escapeHtml(hunk.header)}</td></tr>`);
+            diffFormat.toSideBySideRows(hunk).forEach(({ left, right }) => {
+                rows.push(`<tr>${side(left, left && left.oldLine)}${side(right, right && right.newLine)}</tr>`);
+            });
+        });
+    });
+    return `<table style="border-collapse:collapse">${rows.join('')}</table>`;
+}
+
+/**
+ * Get the display options of a snippet, falling back to the settings
+ * @param {Object} snippet - Snippet, with display options chosen in the composer if any
+ * @param {vscode.WorkspaceConfiguration} config - shareToTeams configuration
+ * @returns {{ includeFileName: boolean, includeLineNumbers: boolean, includeLanguage: boolean }} - Display options
+ */
+function getDisplayOptions(snippet, config) {
+    const display = snippet.display || {};
+    const pick = (key, fallback) => typeof display[key] === 'boolean' ? display[key] : config.get(key, fallback);
+    return {
+        includeFileName: pick('includeFileName', true),
+        includeLineNumbers: pick('includeLineNumbers', false),
+        includeLanguage: pick('includeLanguage', true)
+    };
+}
+
+/**
+ * Prefix each line with its line number
+ * @param {string} text - Code
+ * @param {number} firstLine - Number of the first line
+ * @returns {string} - Numbered code
+ */
+function addLineNumbers(text, firstLine) {
+    const lines = text.split('\n');
+    const width = String(firstLine + lines.length - 1).length;
+    return lines.map((line, index) => `${String(firstLine + index).padStart(width)}  ${line}`).join('\n');
+}
+
+/**
+ * Mark lines with an arrow, indenting the others to keep the code aligned
+ * @param {string} text - Code
+ * @param {Array<number>} indexes - 0-based indexes of the lines to mark
+ * @returns {string} - Code with markers
+ */
+function markLines(text, indexes) {
+    return text.split('\n').map((line, index) => `${indexes.includes(index) ? '→' : ' '} ${line}`).join('\n');
+}
+
+/**
+ * Get the header describing where a snippet came from: a diagnostic or a terminal command
+ * @param {Object} snippet - Snippet being shared
+ * @returns {{ text: string, html: string }} - Markdown and HTML header, empty for plain selections
+ */
+function getContextHeader(snippet) {
+    if (snippet.diagnostic) {
+        return { text: formatDiagnosticText(snippet.diagnostic), html: `<p>${formatDiagnosticHtml(snippet.diagnostic)}</p>` };
+    }
+    if (snippet.terminal) {
+        const { name, commandLine, exitCode } = snippet.terminal;
+        const exit = exitCode === undefined || exitCode === null ? '' : ` · exit code ${exitCode}`;
+        if (!commandLine) {
+            return { text: `Output of terminal "${name}"`, html: `<p>Output of terminal "${escapeHtml(name)}"</p>` };
+        }
+        return {
+            text: `\`$ ${commandLine}\`${exit}`,
+            html: `<p><code>$ ${escapeHtml(commandLine)}</code>${exit}</p>`
+        };
+    }
+    return { text: '', html: '' };
+}
+
+/**
+ * Describe a shared diagnostic as Markdown, e.g. "**Error** eslint(no-unused-vars) on line 4: ..."
+ * @param {{ message: string, source: string|null, code: string|null, severity: string, line: number }} diagnostic - Diagnostic from describeDiagnostic
+ * @returns {string} - Markdown
+ */
+function formatDiagnosticText(diagnostic) {
+    return `**${diagnostic.severity}** ${formatDiagnosticOrigin(diagnostic)}on line ${diagnostic.line}: ${diagnostic.message}`;
+}
+
+/**
+ * Describe a shared diagnostic as HTML
+ * @param {{ message: string, source: string|null, code: string|null, severity: string, line: number }} diagnostic - Diagnostic from describeDiagnostic
+ * @returns {string} - HTML
+ */
+function formatDiagnosticHtml(diagnostic) {
+    const message = escapeHtml(diagnostic.message).replace(/\r?\n/g, '<br>');
+    return `<b>${escapeHtml(diagnostic.severity)}</b> ${escapeHtml(formatDiagnosticOrigin(diagnostic))}on line ${diagnostic.line}: ${message}`;
+}
+
+/**
+ * Format the source and code of a diagnostic, e.g. "eslint(no-unused-vars) "
+ * @param {{ source: string|null, code: string|null }} diagnostic - Diagnostic from describeDiagnostic
+ * @returns {string} - Origin followed by a space, empty when unknown
+ */
+function formatDiagnosticOrigin(diagnostic) {
+    if (!diagnostic.source && !diagnostic.code) {
+        return '';
+    }
+    return `${diagnostic.source || ''}${diagnostic.code ? `(${diagnostic.code})` : ''} `;
+}
+
+/**
+ * Format the note written in the composer, turning "@Name" into Teams mentions
+ * Only mentions with a resolved userId become <at> tags; the others stay plain text.
+ * @param {string} [note] - Note text
+ * @param {Array<{ displayName: string, userId?: string }>} [mentions] - People mentioned in the note
+ * @returns {{ html: string, mentions: Array<Object> }} - HTML paragraph and Graph chatMessageMention entries
+ */
+function formatNoteHtml(note, mentions = []) {
+    if (!note || !note.trim()) {
+        return { html: '', mentions: [] };
+    }
+
+    let html = escapeHtml(note.trim());
+    const tags = [];
+    // Longest names first, so "@Ada Lovelace" isn't taken for "@Ada"
+    [...(mentions || [])]
+        .filter(m => m.userId && m.displayName)
+        .sort((a, b) => b.displayName.length - a.displayName.length)
+        .forEach(m => {
+            const token = escapeHtml(`@${m.displayName}`);
+            const index = html.indexOf(token);
+            if (index === -1) {
+                return;
+            }
+            const id = tags.length;
+            html = `${html.slice(0, index)}<at id="${id}">${escapeHtml(m.displayName)}</at>${html.slice(index + token.length)}`;
+            tags.push({
+                id: id,
+                mentionText: m.displayName,
+                mentioned: { user: { id: m.userId, displayName: m.displayName, userIdentityType: 'aadUser' } }
+            });
+        });
+
+    return { html: `<p>${html.replace(/\r?\n/g, '<br>')}</p>`, mentions: tags };
+}
+
+/**
+ * Format the selected code as a code block
+ * @param {string} text - Selected text
+ * @param {string|null} languageId - Language identifier
+ * @returns {string} - Formatted code block
+ */
+function formatCodeSnippet(text, languageId) {
+    const language = languageId || '';
+    return `\`\`\`${language}\n${text}\n\`\`\``;
+}
+
+/**
+ * Format the selected code as an HTML code block for Graph chat messages
+ * @param {string} text - Selected text
+ * @param {string|null} languageId - Language identifier
+ * @returns {string} - HTML code block
+ */
+function formatCodeSnippetHtml(text, languageId) {
+    const languageClass = languageId ? ` class="language-${escapeHtml(languageId)}"` : '';
+    return `<pre><code${languageClass}>${escapeHtml(text)}</code></pre>`;
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    buildShareMessage,
+    getDisplayOptions,
+    addLineNumbers,
+    markLines,
+    formatDiagnosticHtml,
+    formatNoteHtml,
+    formatCodeSnippet,
+    formatCodeSnippetHtml,
+    escapeHtml
+};
@@ -0,0 +1,198 @@
+const vscode = require('vscode');
+const path = require('path');
+const diffFormat = require('./diffFormat');
+
+// Status.INDEX_RENAMED of the git extension API
+const STATUS_RENAMED = 3;
+
+/**
+ * Get the API of VS Code's built-in git extension
+ * @returns {Promise<Object|null>} - Git API (version 1), or null if git is unavailable
+ */
+async function getGitApi() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) {
+        return null;
+    }
+    try {
+        const gitExtension = extension.isActive ? extension.exports : await extension.activate();
+        if (!gitExtension || !gitExtension.enabled) {
+            return null;
+        }
+        return gitExtension.getAPI(1);
+    } catch (error) {
+        console.log('Git extension is not available:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get the repository containing a file
+ * @param {vscode.Uri} uri - File URI
+ * @returns {Promise<Object|null>} - Git repository, or null if the file isn't in one
+ */
+async function getRepository(uri) {
+    const api = await getGitApi();
+    return api ? api.getRepository(uri) : null;
+}
+
+/**
+ * Pick the remote a permalink should point at: the upstream's remote, then origin, then any
+ * @param {Array<Object>} remotes - Repository remotes
+ * @param {Object} [head] - Repository HEAD
+ * @returns {Object|undefined} - Selected remote
+ */
+function pickRemote(remotes, head) {
+    const upstreamRemote = head && head.upstream ? head.upstream.remote : null;
+    return remotes.find(r => r.name === upstreamRemote) ||
+        remotes.find(r => r.name === 'origin') ||
+        remotes[0];
+}
+
+/**
+ * Describe where a file lives in git
+ * @param {vscode.Uri} uri - File URI
+ * @returns {Promise<Object|null>} - remoteUrl, commit, branch, isPushed and relativePath; null outside a repository
+ */
+async function getFileGitContext(uri) {
+    if (uri.scheme !== 'file') {
+        return null;
+    }
+    const repository = await getRepository(uri);
+    if (!repository) {
+        return null;
+    }
+
+    const head = repository.state.HEAD || {};
+    const remote = pickRemote(repository.state.remotes || [], head);
+    return {
+        repository: repository,
+        remoteUrl: remote ? (remote.fetchUrl || remote.pushUrl) : null,
+        commit: head.commit || null,
+        branch: head.upstream ? head.upstream.name : (head.name || null),
+        // Without an upstream, or with local commits ahead of it, HEAD may not exist on the remote
+        isPushed: Boolean(head.upstream) && !head.ahead,
+        relativePath: path.relative(repository.rootUri.fsPath, uri.fsPath).split(path.sep).join('/')
+    };
+}
+
+/**
+ * Shorten a commit SHA for display
+ * @param {string} [sha] - Commit SHA
+ * @returns {string|null} - First 7 characters
+ */
+function shortSha(sha) {
+    return sha ? sha.slice(0, 7) : null;
+}
+
+/**
+ * Get the diff of a file's working tree or staged changes against HEAD
+ * @param {vscode.Uri} uri - File URI
+ * @param {boolean} staged - Diff the index instead of the working tree
+ * @returns {Promise<{ text: string, branch: string|null, fromRef: string|null, toRef: string }|null>} - Diff, null outside a repository
+ */
+async function getFileDiff(uri, staged) {
+    const repository = uri.scheme === 'file' ? await getRepository(uri) : null;
+    if (!repository) {
+        return null;
+    }
+    const head = repository.state.HEAD || {};
+    const text = staged ? await repository.diffIndexWithHEAD(uri.fsPath) : await repository.diffWithHEAD(uri.fsPath);
+    return {
+        text: text || '',
+        branch: head.name || null,
+        fromRef: shortSha(head.commit),
+        toRef: staged ? 'index' : 'working tree'
+    };
+}
+
+/**
+ * Get a file's unstaged changes, from the index to the working tree
+ * @param {vscode.Uri} uri - File URI
+ * @returns {Promise<Object|null>} - Parsed diff of the file, null without unstaged changes or outside a repository
+ */
+async function getUnstagedChanges(uri) {
+    const repository = uri.scheme === 'file' ? await getRepository(uri) : null;
+    if (!repository) {
+        return null;
+    }
+    const relativePath = path.relative(repository.rootUri.fsPath, uri.fsPath).split(path.sep).join('/');
+    const files = diffFormat.parseDiff((await repository.diff(false)) || '');
+    return files.find(file => file.newPath === relativePath) || null;
+}
+
+/**
+ * Get the repository of the active editor, or the first open repository
+ * @returns {Promise<Object|null>} - Git repository
+ */
+async function getActiveRepository() {
+    const api = await getGitApi();
+    if (!api) {
+        return null;
+    }
+    const editor = vscode.window.activeTextEditor;
+    const repository = editor ? api.getRepository(editor.document.uri) : null;
+    return repository || api.repositories[0] || null;
+}
+
+/**
+ * Get the diff between two commits across all changed files
+ * @param {Object} repository - Git repository
+ * @param {string} fromRef - Base commit, excluded from the diff
+ * @param {string} toRef - Last commit
+ * @returns {Promise<string>} - Diff text
+ */
+async function getCommitRangeDiff(repository, fromRef, toRef) {
+    const changes = await repository.diffBetween(fromRef, toRef);
+    const diffs = [];
+    for (const change of changes) {
+        if (change.status === STATUS_RENAMED && change.originalUri && change.renameUri) {
+            diffs.push(await getRenameDiff(repository, fromRef, toRef, change));
+            continue;
+        }
+        // Deleted files only have their original URI
+        const uri = change.uri || change.originalUri;
+        diffs.push(await repository.diffBetween(fromRef, toRef, uri.fsPath));
+    }
+    return diffs.filter(Boolean).join('\n');
+}
+
+/**
+ * Diff a renamed file between its old path in one commit and its new path in another
+ * diffBetween takes a single path, which shows a rename as a whole new file.
+ * @param {Object} repository - Git repository
+ * @param {string} fromRef - Base commit
+ * @param {string} toRef - Last commit
+ * @param {Object} change - Change with originalUri and renameUri
+ * @returns {Promise<string>} - Diff text with rename headers
+ */
+async function getRenameDiff(repository, fromRef, toRef, change) {
+    const toPath = (uri) => path.relative(repository.rootUri.fsPath, uri.fsPath).split(path.sep).join('/');
+    const oldPath = toPath(change.originalUri);
+    const newPath = toPath(change.renameUri);
+    const [oldObject, newObject] = await Promise.all([
+        repository.getObjectDetails(fromRef, change.originalUri.fsPath),
+        repository.getObjectDetails(toRef, change.renameUri.fsPath)
+    ]);
+    const blobDiff = oldObject.object === newObject.object ? '' : await repository.diffBlobs(oldObject.object, newObject.object);
+    // Keep the hunks; the blob diff's headers name object IDs instead of paths
+    const hunkStart = (blobDiff || '').search(/^@@ /m);
+    const hunks = hunkStart >= 0 ? blobDiff.slice(hunkStart).replace(/\n$/, '') : '';
+    return [
+        `diff --git a/${oldPath} b/${newPath}`,
+        `rename from ${oldPath}`,
+        `rename to ${newPath}`,
+        ...(hunks ? [`--- a/${oldPath}`, `+++ b/${newPath}`, hunks] : [])
+    ].join('\n');
+}
+
+module.exports = {
+    getGitApi,
+    getRepository,
+    getFileGitContext,
+    shortSha,
+    getFileDiff,
+    getUnstagedChanges,
+    getActiveRepository,
+    getCommitRangeDiff
+};
@@ -0,0 +1,269 @@
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://graph.microsoft.com/v1.0';
+
+// Retries of throttled, unavailable and dropped requests before giving up
+const MAX_RETRIES = 3;
+
+// First backoff delay when Graph doesn't send Retry-After; doubles on each retry
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Longer Retry-After waits fail as throttled instead of leaving the share hanging
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// Items loaded when following @odata.nextLink, unless the caller sets its own limit
+const DEFAULT_MAX_ITEMS = 500;
+
+// Methods that can be repeated without creating anything twice
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+const ERROR_TYPES = {
+    400: 'badRequest',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'notFound',
+    409: 'conflict',
+    429: 'throttled'
+};
+
+let settings = {
+    baseUrl: DEFAULT_BASE_URL,
+    maxRetries: MAX_RETRIES,
+    retryDelayMs: RETRY_BASE_DELAY_MS
+};
+
+/**
+ * Configure the Graph endpoint and retry behaviour
+ * @param {Object} [options] - Options; omitted values are reset to their defaults
+ * @param {string} [options.baseUrl] - Graph root including the version, e.g. https://graph.microsoft.com/v1.0
+ * @param {number} [options.maxRetries] - Retries before a request fails
+ * @param {number} [options.retryDelayMs] - First backoff delay in milliseconds
+ */
+function configure(options = {}) {
+    settings = {
+        baseUrl: (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        maxRetries: options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES,
+        retryDelayMs: options.retryDelayMs !== undefined ? options.retryDelayMs : RETRY_BASE_DELAY_MS
+    };
+}
+
+/**
+ * Get the Graph root requests are sent to
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getBaseUrl() {
+    return settings.baseUrl;
+}
+
+/**
+ * Build the URL of a Graph request
+ * Query values are percent-encoded by hand: Graph doesn't read "+" as a space in $filter and $search.
+ * @param {string} path - Path below the base URL, or an absolute URL such as an @odata.nextLink
+ * @param {Object} [query] - Query parameters, e.g. { $top: 50 }
+ * @returns {string} - URL
+ */
+function buildUrl(path, query) {
+    const url = /^https?:\/\//i.test(path) ? path : `${settings.baseUrl}${path}`;
+    const params = Object.entries(query || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+    if (params.length === 0) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
+/**
+ * Read a Retry-After header
+ * @param {string} [value] - Seconds to wait or an HTTP date
+ * @returns {number|undefined} - Milliseconds to wait, undefined without a usable value
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create an error describing a failed Graph request
+ * @param {number} statusCode - HTTP status, 0 when no response arrived
+ * @param {Object} [body] - Response body with Graph's { error: { code, message } }
+ * @param {number} [retryAfter] - Milliseconds Graph asked to wait
+ * @param {Error} [cause] - Network error when no response arrived
+ * @returns {Error} - Error with type ("unauthorized", "forbidden", "notFound", "throttled", "server", "network", ...), statusCode, code and retryAfter
+ */
+function createGraphError(statusCode, body, retryAfter, cause) {
+    const details = (body && body.error) || {};
+    let type = ERROR_TYPES[statusCode] || (statusCode >= 500 ? 'server' : 'failed');
+    if (!statusCode) {
+        type = 'network';
+    } else if (statusCode === 503 && retryAfter !== undefined) {
+        type = 'throttled';
+    }
+
+    let message = details.message || (cause ? cause.message : `Microsoft Graph returned ${statusCode}`);
+    if (type === 'throttled') {
+        message = retryAfter !== undefined
+            ? `Microsoft Graph is throttling requests. Try again in ${Math.ceil(retryAfter / 1000)} seconds.`
+            : 'Microsoft Graph is throttling requests. Try again later.';
+    } else if (type === 'network') {
+        message = `Unable to reach Microsoft Graph: ${message}`;
+    }
+
+    return Object.assign(new Error(message), {
+        type,
+        statusCode,
+        code: details.code,
+        retryAfter
+    });
+}
+
+/**
+ * Check whether a Graph error means the token lacks access
+ * @param {Error} error - Error from a Graph request
+ * @returns {boolean} - True for 401 and 403 responses
+ */
+function isAccessDenied(error) {
+    return error.type === 'unauthorized' || error.type === 'forbidden';
+}
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a Graph request, retrying throttled and unavailable responses
+ * Retry-After is respected; without it the delay backs off exponentially. Throttled requests (429,
+ * or 503 with Retry-After) were not processed and are always retried. Gateway timeouts, other 503s
+ * and dropped connections may hide a request that went through, so they are only retried for
+ * idempotent methods: a message that was sent must not be posted twice.
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the base URL, or an absolute URL
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.query] - Query parameters
+ * @param {*} [options.body] - Request body, sent as JSON unless a Content-Type header says otherwise
+ * @param {Object} [options.headers] - Extra headers, e.g. { ConsistencyLevel: 'eventual' }
+ * @returns {Promise<Object>} - Response body
+ */
+async function request(accessToken, method, path, options = {}) {
+    const url = buildUrl(path, options.query);
+    const idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await axios.request({
+                method,
+                url,
+                data: options.body,
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                },
+                validateStatus: () => true
+            });
+        } catch (error) {
+            if (idempotent && attempt < settings.maxRetries) {
+                console.log(`Graph ${method.toUpperCase()} ${path} failed (${error.code || error.message}), retrying...`);
+                await delay(settings.retryDelayMs * 2 ** attempt);
+                continue;
+            }
+            throw createGraphError(0, null, undefined, error);
+        }
+
+        if (response.status < 400) {
+            return response.data;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers['retry-after']);
+        const retryDelay = retryAfter !== undefined ? retryAfter : settings.retryDelayMs * 2 ** attempt;
+        const throttled = response.status === 429 || (response.status === 503 && retryAfter !== undefined);
+        const unavailable = response.status === 503 || response.status === 504;
+        if ((throttled || (unavailable && idempotent)) && attempt < settings.maxRetries && retryDelay <= MAX_RETRY_DELAY_MS) {
+            console.log(`Graph ${method.toUpperCase()} ${path} returned ${response.status}, retrying in ${retryDelay} ms...`);
+            await delay(retryDelay);
+            continue;
+        }
+        throw createGraphError(response.status, response.data, retryAfter);
+    }
+}
+
+/**
+ * Get a Graph resource
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} path - Path below the base URL
+ * @param {Object} [query] - Query parameters
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<Object>} - Response body
+ */
+function get(accessToken, path, query, headers) {
+    return request(accessToken, 'GET', path, { query, headers });
+}
+
+/**
+ * Get every item of a Graph collection, following @odata.nextLink
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} path - Path below the base URL
+ * @param {Object} [options] - Options
+ * @param {Object} [options.query] - Query parameters of the first page
+ * @param {Object} [options.headers] - Extra headers, sent with every page
+ * @param {number} [options.maxItems] - Stop once this many items are loaded
+ * @returns {Promise<Array<Object>>} - Items of all pages, at most maxItems
+ */
+async function getAll(accessToken, path, options = {}) {
+    const maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+    let page = await get(accessToken, path, options.query, options.headers);
+    const items = [...(page.value || [])];
+    while (page['@odata.nextLink'] && items.length < maxItems) {
+        page = await get(accessToken, page['@odata.nextLink'], undefined, options.headers);
+        items.push(...(page.value || []));
+    }
+    return items.slice(0, maxItems);
+}
+
+/**
+ * Create a Graph resource
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} path - Path below the base URL
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - Created resource
+ */
+function post(accessToken, path, body) {
+    return request(accessToken, 'POST', path, { body });
+}
+
+/**
+ * Replace a Graph resource, e.g. upload file content
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} path - Path below the base URL
+ * @param {*} body - Request body
+ * @param {Object} [options] - Query parameters and headers, as for request
+ * @returns {Promise<Object>} - Stored resource
+ */
+function put(accessToken, path, body, options = {}) {
+    return request(accessToken, 'PUT', path, { ...options, body });
+}
+
+module.exports = {
+    configure,
+    getBaseUrl,
+    buildUrl,
+    parseRetryAfter,
+    isAccessDenied,
+    request,
+    get,
+    getAll,
+    post,
+    put
+};
@@ -0,0 +1,408 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const hljs = require('highlight.js/lib/common');
+
+/**
+ * @typedef {Object} Palette
+ * @property {string} background - Code block background color
+ * @property {string} foreground - Default text color
+ * @property {string} lineNumber - Line number color
+ * @property {string} markedLine - Background of marked lines
+ * @property {Object<string, string>} tokens - Colors by highlight.js scope, e.g. "keyword" or "title.function"
+ */
+
+/** @type {Object<string, Palette>} Default Light+ and Dark+ colors */
+const BUILT_IN_PALETTES = {
+    light: {
+        background: '#ffffff',
+        foreground: '#000000',
+        lineNumber: '#237893',
+        markedLine: '#fde7e9',
+        tokens: {
+            'keyword': '#0000ff',
+            'built_in': '#267f99',
+            'type': '#267f99',
+            'literal': '#0000ff',
+            'number': '#098658',
+            'regexp': '#811f3f',
+            'string': '#a31515',
+            'symbol': '#098658',
+            'title': '#795e26',
+            'title.class': '#267f99',
+            'title.function': '#795e26',
+            'params': '#001080',
+            'variable': '#001080',
+            'variable.language': '#0000ff',
+            'property': '#001080',
+            'comment': '#008000',
+            'doc': '#008000',
+            'meta': '#af00db',
+            'tag': '#800000',
+            'name': '#800000',
+            'attr': '#e50000',
+            'attribute': '#e50000',
+            'selector-tag': '#800000',
+            'selector-class': '#800000',
+            'section': '#000080',
+            'addition': '#098658',
+            'deletion': '#a31515'
+        }
+    },
+    dark: {
+        background: '#1e1e1e',
+        foreground: '#d4d4d4',
+        lineNumber: '#858585',
+        markedLine: '#5a1d1d',
+        tokens: {
+            'keyword': '#569cd6',
+            'built_in': '#4ec9b0',
+            'type': '#4ec9b0',
+            'literal': '#569cd6',
+            'number': '#b5cea8',
+            'regexp': '#d16969',
+            'string': '#ce9178',
+            'symbol': '#b5cea8',
+            'title': '#dcdcaa',
+            'title.class': '#4ec9b0',
+            'title.function': '#dcdcaa',
+            'params': '#9cdcfe',
+            'variable': '#9cdcfe',
+            'variable.language': '#569cd6',
+            'property': '#9cdcfe',
+            'comment': '#6a9955',
+            'doc': '#6a9955',
+            'meta': '#c586c0',
+            'tag': '#569cd6',
+            'name': '#569cd6',
+            'attr': '#9cdcfe',
+            'attribute': '#9cdcfe',
+            'selector-tag': '#d7ba7d',
+            'selector-class': '#d7ba7d',
+            'section': '#569cd6',
+            'addition': '#b5cea8',
+            'deletion': '#ce9178'
+        }
+    }
+};
+
+// TextMate scope whose theme color is used for each highlight.js scope
+const THEME_SCOPES = {
+    'keyword': 'keyword',
+    'built_in': 'support.function',
+    'type': 'entity.name.type',
+    'literal': 'constant.language',
+    'number': 'constant.numeric',
+    'regexp': 'string.regexp',
+    'string': 'string',
+    'symbol': 'constant.other.symbol',
+    'title': 'entity.name',
+    'title.class': 'entity.name.type.class',
+    'title.function': 'entity.name.function',
+    'params': 'variable.parameter',
+    'variable': 'variable',
+    'variable.language': 'variable.language',
+    'property': 'variable.other.property',
+    'comment': 'comment',
+    'doc': 'comment.block.documentation',
+    'meta': 'meta.preprocessor',
+    'tag': 'entity.name.tag',
+    'name': 'entity.name.tag',
+    'attr': 'entity.other.attribute-name',
+    'attribute': 'entity.other.attribute-name',
+    'selector-tag': 'entity.name.tag.css',
+    'selector-class': 'entity.other.attribute-name.class.css',
+    'section': 'markup.heading',
+    'addition': 'markup.inserted',
+    'deletion': 'markup.deleted'
+};
+
+// VS Code language IDs that highlight.js knows under another name
+const LANGUAGE_ALIASES = {
+    javascriptreact: 'javascript',
+    typescriptreact: 'typescript',
+    jsonc: 'json',
+    shellscript: 'bash',
+    html: 'xml',
+    'objective-c': 'objectivec',
+    'objective-cpp': 'objectivec'
+};
+
+const themeCache = new Map();
+
+/**
+ * Render code as a <pre> block with inline colors
+ * Teams drops <style> elements and classes, so every token carries its own style attribute.
+ * @param {string} text - Code
+ * @param {string|null} languageId - VS Code language identifier
+ * @param {Palette} palette - Colors to use
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.firstLine] - Number of the first line; line numbers are shown when set
+ * @param {Array<number>} [options.markedLines] - 0-based indexes of lines to give a marked background
+ * @returns {string} - HTML
+ */
+function highlightHtml(text, languageId, palette, options = {}) {
+    // Plain text still goes through highlight.js, which escapes it
+    const language = getHighlightLanguage(languageId) || 'plaintext';
+    const highlighted = hljs.highlight(text, { language, ignoreIllegals: true }).value;
+    const lines = splitLines(flattenTokens(highlighted, palette));
+    const width = options.firstLine ? String(options.firstLine + lines.length - 1).length : 0;
+
+    const body = lines.map((segments, index) => {
+        const number = options.firstLine
+            ? `<span style="color:${palette.lineNumber}">${String(options.firstLine + index).padStart(width)}  </span>`
+            : '';
+        const code = segments
+            .map(({ text: segment, color }) => color ? `<span style="color:${color}">${segment}</span>` : segment)
+            .join('');
+        return (options.markedLines || []).includes(index)
+            ? `<span style="background-color:${palette.markedLine}">${number}${code}</span>`
+            : number + code;
+    }).join('\n');
+
+    const style = `background-color:${palette.background};color:${palette.foreground};padding:8px;` +
+        'font-family:Consolas,\'Courier New\',monospace;white-space:pre;overflow-x:auto';
+    return `<pre style="${style}"><code>${body}</code></pre>`;
+}
+
+/**
+ * Get the highlight.js language for a VS Code language ID
+ * @param {string|null} languageId - VS Code language identifier
+ * @returns {string|null} - highlight.js language, null when it isn't supported
+ */
+function getHighlightLanguage(languageId) {
+    if (!languageId) {
+        return null;
+    }
+    const language = LANGUAGE_ALIASES[languageId] || languageId;
+    return hljs.getLanguage(language) ? language : null;
+}
+
+/**
+ * Turn nested highlight.js spans into flat text segments with the innermost color that the palette defines
+ * @param {string} html - highlight.js output
+ * @param {Palette} palette - Colors to use
+ * @returns {Array<{ text: string, color: string|null }>} - Segments, text still HTML-escaped
+ */
+function flattenTokens(html, palette) {
+    const segments = [];
+    const stack = [];
+    const pattern = /<span class="([^"]+)">|<\/span>|[^<]+/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (match[1]) {
+            stack.push(getScopeColor(toScope(match[1]), palette));
+        } else if (match[0] === '</span>') {
+            stack.pop();
+        } else {
+            const color = [...stack].reverse().find(Boolean) || null;
+            segments.push({ text: match[0], color });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Convert highlight.js classes to a scope name, e.g. "hljs-title function_" to "title.function"
+ * @param {string} classes - Class attribute of a highlight.js span
+ * @returns {string} - Scope name
+ */
+function toScope(classes) {
+    return classes
+        .split(' ')
+        .map(name => name.replace(/^hljs-/, '').replace(/_+$/, ''))
+        .join('.');
+}
+
+/**
+ * Find the palette color of a scope, falling back to its parent scopes
+ * @param {string} scope - Scope name, e.g. "title.function.invoke"
+ * @param {Palette} palette - Colors to use
+ * @returns {string|null} - Color
+ */
+function getScopeColor(scope, palette) {
+    const parts = scope.split('.');
+    for (let i = parts.length; i > 0; i--) {
+        const color = palette.tokens[parts.slice(0, i).join('.')];
+        if (color) {
+            return color;
+        }
+    }
+    return null;
+}
+
+/**
+ * Split segments into lines, so a token spanning lines (e.g. a block comment) keeps its color on each
+ * @param {Array<{ text: string, color: string|null }>} segments - Flat segments
+ * @returns {Array<Array<{ text: string, color: string|null }>>} - Segments per line
+ */
+function splitLines(segments) {
+    const lines = [[]];
+    segments.forEach(({ text, color }) => {
+        text.split('\n').forEach((part, index) => {
+            if (index > 0) {
+                lines.push([]);
+            }
+            if (part) {
+                lines[lines.length - 1].push({ text: part, color });
+            }
+        });
+    });
+    return lines;
+}
+
+/**
+ * Build a palette from a VS Code color theme
+ * @param {Object} theme - Theme JSON with colors and tokenColors (includes already merged)
+ * @param {Palette} fallback - Palette used for colors the theme doesn't define
+ * @returns {Palette} - Palette
+ */
+function createPaletteFromTheme(theme, fallback) {
+    // Colors end up in style attributes, so anything but a hex color is ignored
+    const valid = (color) => typeof color === 'string' && /^#[0-9a-fA-F]{3,8}$/.test(color) ? color : null;
+    const colors = theme.colors || {};
+    const tokenColors = Array.isArray(theme.tokenColors) ? theme.tokenColors : [];
+    const tokens = {};
+    Object.keys(THEME_SCOPES).forEach(scope => {
+        tokens[scope] = valid(findTokenColor(tokenColors, THEME_SCOPES[scope])) || fallback.tokens[scope];
+    });
+    return {
+        background: valid(colors['editor.background']) || fallback.background,
+        foreground: valid(colors['editor.foreground']) || valid(findTokenColor(tokenColors, 'source')) || fallback.foreground,
+        lineNumber: valid(colors['editorLineNumber.foreground']) || fallback.lineNumber,
+        markedLine: valid(colors['inputValidation.errorBackground']) || fallback.markedLine,
+        tokens: tokens
+    };
+}
+
+/**
+ * Find the theme color for a TextMate scope
+ * The longest matching selector wins, and later rules win ties, roughly as in VS Code.
+ * @param {Array<Object>} tokenColors - Theme tokenColors rules
+ * @param {string} scope - TextMate scope, e.g. "entity.name.function"
+ * @returns {string|null} - Color
+ */
+function findTokenColor(tokenColors, scope) {
+    let best = null;
+    let bestLength = -1;
+    tokenColors.forEach(rule => {
+        if (!rule.settings || !rule.settings.foreground || !rule.scope) {
+            return;
+        }
+        const selectors = Array.isArray(rule.scope) ? rule.scope : rule.scope.split(',');
+        selectors.forEach(selector => {
+            // Only the last part of descendant selectors like "source.js keyword" is considered
+            const last = selector.trim().split(/\s+/).pop();
+            if ((scope === last || scope.startsWith(`${last}.`)) && last.length >= bestLength) {
+                best = rule.settings.foreground;
+                bestLength = last.length;
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as used by theme files
+ * @param {string} text - JSONC text
+ * @returns {Object} - Parsed value
+ */
+function parseJsonc(text) {
+    let result = '';
+    let inString = false;
+    // Position in result of a comma that only whitespace and comments follow so far
+    let trailingComma = -1;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') {
+                result += text[++i];
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            trailingComma = -1;
+            result += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+            result += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            i = text.indexOf('*/', i + 2);
+            i = i === -1 ? text.length : i + 1;
+        } else if (/\s/.test(char)) {
+            result += char;
+        } else {
+            if ((char === ']' || char === '}') && trailingComma !== -1) {
+                result = result.slice(0, trailingComma) + result.slice(trailingComma + 1);
+            }
+            trailingComma = char === ',' ? result.length : -1;
+            result += char;
+        }
+    }
+    return JSON.parse(result);
+}
+
+/**
+ * Load a theme file, merging the themes it includes
+ * @param {string} themePath - Absolute path of the theme JSON
+ * @returns {Object} - Theme with colors and tokenColors
+ */
+function loadThemeFile(themePath) {
+    const theme = parseJsonc(fs.readFileSync(themePath, 'utf8'));
+    const base = theme.include ? loadThemeFile(path.join(path.dirname(themePath), theme.include)) : {};
+    return {
+        colors: { ...base.colors, ...theme.colors },
+        // Themes may point tokenColors at a .tmTheme file, which isn't supported; their base colors still apply
+        tokenColors: [
+            ...(Array.isArray(base.tokenColors) ? base.tokenColors : []),
+            ...(Array.isArray(theme.tokenColors) ? theme.tokenColors : [])
+        ]
+    };
+}
+
+/**
+ * Get the palette for the shareToTeams.highlightTheme setting
+ * @param {string} name - "light", "dark", "current" for the active color theme, or the name of an installed theme
+ * @returns {Palette} - Palette, the light one when the theme can't be found or read
+ */
+function getPalette(name) {
+    if (BUILT_IN_PALETTES[name]) {
+        return BUILT_IN_PALETTES[name];
+    }
+    const themeName = name === 'current' ? vscode.workspace.getConfiguration('workbench').get('colorTheme') : name;
+    if (themeCache.has(themeName)) {
+        return themeCache.get(themeName);
+    }
+
+    let palette = BUILT_IN_PALETTES.light;
+    for (const extension of vscode.extensions.all) {
+        const contributes = extension.packageJSON && extension.packageJSON.contributes;
+        const theme = ((contributes && contributes.themes) || []).find(t => t.label === themeName || t.id === themeName);
+        if (!theme) {
+            continue;
+        }
+        const fallback = theme.uiTheme === 'vs' || theme.uiTheme === 'hc-light' ? BUILT_IN_PALETTES.light : BUILT_IN_PALETTES.dark;
+        try {
+            palette = createPaletteFromTheme(loadThemeFile(path.join(extension.extensionPath, theme.path)), fallback);
+        } catch (error) {
+            console.error(`Could not read color theme "${themeName}":`, error);
+            palette = fallback;
+        }
+        break;
+    }
+    themeCache.set(themeName, palette);
+    return palette;
+}
+
+module.exports = {
+    BUILT_IN_PALETTES,
+    highlightHtml,
+    getHighlightLanguage,
+    createPaletteFromTheme,
+    parseJsonc,
+    getPalette
+};
@@ -0,0 +1,160 @@
+/**
+ * Permalink builders for the supported source-control hosts.
+ * Kept free of the vscode module so the URL schemes can be tested offline.
+ */
+
+/**
+ * Parse a git remote URL into host and repository path
+ * Supports https://, ssh:// and scp-like (git@host:path) remotes.
+ * @param {string} remoteUrl - Remote fetch or push URL
+ * @returns {{ host: string, path: string }|null} - Lower-cased host and repository path without .git
+ */
+function parseRemoteUrl(remoteUrl) {
+    if (!remoteUrl) {
+        return null;
+    }
+    const trimmed = remoteUrl.trim();
+
+    let host;
+    let repoPath;
+    const scpMatch = /^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.+)$/.exec(trimmed);
+    if (scpMatch && !/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+        host = scpMatch[1];
+        repoPath = scpMatch[2];
+    } else {
+        try {
+            const parsed = new URL(trimmed);
+            host = parsed.hostname;
+            repoPath = parsed.pathname;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Remotes percent-encode spaces in names such as Azure DevOps projects
+    try {
+        repoPath = decodeURIComponent(repoPath);
+    } catch (error) {
+        // Keep the path as-is if it isn't valid percent-encoding
+    }
+
+    repoPath = repoPath.replace(/^\/+/, '').replace(/\/+$/, '').replace(/\.git$/, '');
+    if (!host || !repoPath) {
+        return null;
+    }
+    return { host: host.toLowerCase(), path: repoPath };
+}
+
+/**
+ * Work out which hosting provider a remote belongs to
+ * @param {string} host - Remote host name
+ * @returns {string|null} - 'github', 'gitlab', 'azure', 'bitbucket' or null if unknown
+ */
+function detectProvider(host) {
+    if (host === 'dev.azure.com' || host === 'ssh.dev.azure.com' || host.endsWith('.visualstudio.com')) {
+        return 'azure';
+    }
+    if (host.includes('github')) {
+        return 'github';
+    }
+    if (host.includes('gitlab')) {
+        return 'gitlab';
+    }
+    if (host.includes('bitbucket')) {
+        return 'bitbucket';
+    }
+    return null;
+}
+
+/**
+ * Encode each segment of a slash-separated path
+ * @param {string} filePath - Repository-relative path
+ * @returns {string} - Encoded path
+ */
+function encodePath(filePath) {
+    return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Resolve organization, project and repository names of an Azure DevOps remote
+ * @param {string} host - Remote host
+ * @param {string} repoPath - Remote repository path
+ * @returns {{ org: string, project: string, repo: string }|null}
+ */
+function parseAzureRepo(host, repoPath) {
+    const parts = repoPath.split('/');
+    if (host === 'ssh.dev.azure.com') {
+        // v3/{org}/{project}/{repo}
+        return parts.length >= 4 ? { org: parts[1], project: parts[2], repo: parts[3] } : null;
+    }
+    const gitIndex = parts.indexOf('_git');
+    if (gitIndex < 1 || gitIndex + 1 >= parts.length) {
+        return null;
+    }
+    if (host === 'dev.azure.com') {
+        // {org}/{project}/_git/{repo}
+        return gitIndex >= 2 ? { org: parts[0], project: parts[gitIndex - 1], repo: parts[gitIndex + 1] } : null;
+    }
+    // {org}.visualstudio.com/{project}/_git/{repo}
+    return { org: host.split('.')[0], project: parts[gitIndex - 1], repo: parts[gitIndex + 1] };
+}
+
+/**
+ * Build a link to a line range of a file at a commit or branch
+ * @param {Object} params - Link parameters
+ * @param {string} params.remoteUrl - Git remote URL
+ * @param {string} params.ref - Commit SHA or branch name
+ * @param {string} [params.refType] - 'commit' (default) or 'branch'
+ * @param {string} params.filePath - Repository-relative path using forward slashes
+ * @param {number} [params.startLine] - First line (1-based)
+ * @param {number} [params.endLine] - Last line (1-based)
+ * @returns {string|null} - Permalink, or null if the host isn't supported
+ */
+function createPermalink({ remoteUrl, ref, refType = 'commit', filePath, startLine, endLine }) {
+    const remote = parseRemoteUrl(remoteUrl);
+    if (!remote || !ref || !filePath) {
+        return null;
+    }
+    const provider = detectProvider(remote.host);
+    const hasRange = startLine && endLine && endLine !== startLine;
+    const encodedPath = encodePath(filePath);
+    const encodedRef = encodePath(ref);
+    const webHost = remote.host.replace(/^ssh\./, '');
+
+    switch (provider) {
+        case 'github': {
+            const anchor = startLine ? `#L${startLine}${hasRange ? `-L${endLine}` : ''}` : '';
+            return `https://${webHost}/${remote.path}/blob/${encodedRef}/${encodedPath}${anchor}`;
+        }
+        case 'gitlab': {
+            const anchor = startLine ? `#L${startLine}${hasRange ? `-${endLine}` : ''}` : '';
+            return `https://${webHost}/${remote.path}/-/blob/${encodedRef}/${encodedPath}${anchor}`;
+        }
+        case 'bitbucket': {
+            const anchor = startLine ? `#lines-${startLine}${hasRange ? `:${endLine}` : ''}` : '';
+            return `https://${webHost}/${remote.path}/src/${encodedRef}/${encodedPath}${anchor}`;
+        }
+        case 'azure': {
+            const azure = parseAzureRepo(remote.host, remote.path);
+            if (!azure) {
+                return null;
+            }
+            const version = `${refType === 'branch' ? 'GB' : 'GC'}${encodeURIComponent(ref)}`;
+            let link = `https://dev.azure.com/${encodeURIComponent(azure.org)}/${encodeURIComponent(azure.project)}` +
+                `/_git/${encodeURIComponent(azure.repo)}?path=${encodeURIComponent(`/${filePath}`)}&version=${version}`;
+            if (startLine) {
+                // lineEnd is exclusive when selecting whole lines from column 1
+                link += `&line=${startLine}&lineEnd=${(endLine || startLine) + 1}&lineStartColumn=1&lineEndColumn=1&lineStyle=plain&_a=contents`;
+            }
+            return link;
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    parseRemoteUrl,
+    detectProvider,
+    createPermalink
+};
@@ -0,0 +1,144 @@
+const vscode = require('vscode');
+
+const SETTING = 'recipientGroups';
+
+/**
+ * Get recipient groups from user and workspace settings
+ * Workspace groups win over user groups with the same name.
+ * @returns {Array<{ name: string, members: Array<string>, scope: string }>} - Groups sorted by name
+ */
+function getGroups() {
+    const inspected = vscode.workspace.getConfiguration('shareToTeams').inspect(SETTING) || {};
+    const byName = new Map();
+    normalizeGroups(inspected.globalValue).forEach(group => byName.set(group.name.toLowerCase(), { ...group, scope: 'user' }));
+    normalizeGroups(inspected.workspaceValue).forEach(group => byName.set(group.name.toLowerCase(), { ...group, scope: 'workspace' }));
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the groups stored in one settings scope
+ * @param {string} scope - 'user' or 'workspace'
+ * @returns {Array<{ name: string, members: Array<string> }>} - Groups
+ */
+function getScopeGroups(scope) {
+    const inspected = vscode.workspace.getConfiguration('shareToTeams').inspect(SETTING) || {};
+    return normalizeGroups(scope === 'workspace' ? inspected.workspaceValue : inspected.globalValue);
+}
+
+/**
+ * Write the groups of one settings scope
+ * @param {string} scope - 'user' or 'workspace'
+ * @param {Array<{ name: string, members: Array<string> }>} groups - Groups to store
+ */
+async function setScopeGroups(scope, groups) {
+    const target = scope === 'workspace' ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+    const value = groups.map(({ name, members }) => ({ name, members }));
+    await vscode.workspace.getConfiguration('shareToTeams').update(SETTING, value, target);
+}
+
+/**
+ * Add or replace a group
+ * @param {{ name: string, members: Array<string> }} group - Group to save
+ * @param {string} scope - 'user' or 'workspace'
+ * @param {string} [previousName] - Former name when renaming
+ */
+async function saveGroup(group, scope, previousName) {
+    const replaced = [group.name, previousName].filter(Boolean).map(name => name.toLowerCase());
+    const groups = getScopeGroups(scope).filter(g => !replaced.includes(g.name.toLowerCase()));
+    await setScopeGroups(scope, [...groups, group]);
+}
+
+/**
+ * Delete a group
+ * @param {string} name - Group name
+ * @param {string} scope - 'user' or 'workspace'
+ */
+async function deleteGroup(name, scope) {
+    const groups = getScopeGroups(scope).filter(g => g.name.toLowerCase() !== name.toLowerCase());
+    await setScopeGroups(scope, groups);
+}
+
+/**
+ * Clean up groups read from settings or a file, dropping invalid entries and duplicate members
+ * @param {*} value - Raw groups
+ * @returns {Array<{ name: string, members: Array<string> }>} - Valid groups
+ */
+function normalizeGroups(value) {
+    if (!Array.isArray(value)) {
+        return [];
+    }
+    return value
+        .filter(group => group && typeof group.name === 'string' && group.name.trim() && Array.isArray(group.members))
+        .map(group => {
+            const seen = new Set();
+            const members = group.members
+                .filter(email => typeof email === 'string' && email.trim())
+                .map(email => email.trim())
+                .filter(email => {
+                    const key = email.toLowerCase();
+                    if (seen.has(key)) {
+                        return false;
+                    }
+                    seen.add(key);
+                    return true;
+                });
+            return { name: group.name.trim(), members };
+        });
+}
+
+/**
+ * Parse exported groups
+ * Accepts either an array of groups or an object with a recipientGroups array.
+ * @param {string} text - JSON text
+ * @returns {Array<{ name: string, members: Array<string> }>} - Groups
+ */
+function parseGroupsJson(text) {
+    const data = JSON.parse(text);
+    const groups = normalizeGroups(Array.isArray(data) ? data : data && data.recipientGroups);
+    if (groups.length === 0) {
+        throw new Error('No recipient groups found. Expected {"recipientGroups": [{"name": "...", "members": ["..."]}]}.');
+    }
+    return groups;
+}
+
+/**
+ * Serialize groups for export
+ * @param {Array<{ name: string, members: Array<string> }>} groups - Groups to export
+ * @returns {string} - JSON text
+ */
+function serializeGroups(groups) {
+    return JSON.stringify({ recipientGroups: groups.map(({ name, members }) => ({ name, members })) }, null, 2) + '\n';
+}
+
+/**
+ * Turn selected groups into recipients, reusing known recipient details where possible
+ * @param {Array<{ members: Array<string> }>} groups - Selected groups
+ * @param {Array<Object>} recipients - Known recipients
+ * @returns {Array<Object>} - Recipients of all groups
+ */
+function expandGroups(groups, recipients) {
+    const byEmail = new Map(recipients.map(r => [r.email.toLowerCase(), r]));
+    const expanded = [];
+    groups.forEach(group => {
+        group.members.forEach(email => {
+            const key = email.toLowerCase();
+            expanded.push(byEmail.get(key) || {
+                id: `manual-${key}`,
+                displayName: email,
+                email: email,
+                isManual: true
+            });
+        });
+    });
+    return expanded;
+}
+
+module.exports = {
+    getGroups,
+    saveGroup,
+    deleteGroup,
+    normalizeGroups,
+    parseGroupsJson,
+    serializeGroups,
+    expandGroups
+};
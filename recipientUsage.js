@@ -0,0 +1,87 @@
+const USAGE_KEY = 'shareToTeams.recipientUsage';
+
+// A share counts half as much after this many days
+const HALF_LIFE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let storage = null;
+
+/**
+ * Initialize recipient usage tracking
+ * @param {vscode.ExtensionContext} context - Extension context whose global state holds the usage
+ */
+function initialize(context) {
+    storage = context.globalState;
+}
+
+/**
+ * Get usage per lower-cased email
+ * @returns {Object<string, { count: number, lastUsed: number }>} - Usage map
+ */
+function getUsage() {
+    return storage ? storage.get(USAGE_KEY, {}) : {};
+}
+
+/**
+ * Record that a snippet was shared with these recipients
+ * @param {Array<{ email: string }>} recipients - Recipients of the share
+ * @param {number} [now] - Time of the share
+ */
+async function recordUsage(recipients, now = Date.now()) {
+    if (!storage) {
+        return;
+    }
+    const usage = { ...getUsage() };
+    recipients.forEach(r => {
+        const key = r.email.toLowerCase();
+        const previous = usage[key] || { count: 0, lastUsed: 0 };
+        usage[key] = { count: previous.count + 1, lastUsed: now };
+    });
+    await storage.update(USAGE_KEY, usage);
+}
+
+/**
+ * Score a recipient by how often and how recently they were shared with
+ * @param {{ count: number, lastUsed: number }|undefined} entry - Usage of the recipient
+ * @param {number} now - Current time
+ * @returns {number} - Score, 0 if never used
+ */
+function scoreUsage(entry, now) {
+    if (!entry) {
+        return 0;
+    }
+    const ageDays = Math.max(0, now - entry.lastUsed) / DAY_MS;
+    return entry.count * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+}
+
+/**
+ * Sort recipients by usage score, then by name
+ * @param {Array<Object>} recipients - Recipients to rank
+ * @param {Object} [usage] - Usage map, defaults to the stored usage
+ * @param {number} [now] - Current time
+ * @returns {Array<Object>} - Ranked copy of the recipients
+ */
+function rankRecipients(recipients, usage = getUsage(), now = Date.now()) {
+    const scored = recipients.map(r => ({ recipient: r, score: scoreUsage(usage[r.email.toLowerCase()], now) }));
+    scored.sort((a, b) => (b.score - a.score) || a.recipient.displayName.localeCompare(b.recipient.displayName));
+    return scored.map(s => s.recipient);
+}
+
+/**
+ * Get the emails shared with most recently
+ * @param {number} limit - Maximum number of emails
+ * @param {Object} [usage] - Usage map, defaults to the stored usage
+ * @returns {Array<string>} - Lower-cased emails, most recent first
+ */
+function getRecentEmails(limit, usage = getUsage()) {
+    return Object.keys(usage)
+        .sort((a, b) => usage[b].lastUsed - usage[a].lastUsed)
+        .slice(0, limit);
+}
+
+module.exports = {
+    initialize,
+    recordUsage,
+    rankRecipients,
+    getRecentEmails
+};
@@ -0,0 +1,261 @@
+/**
+ * Detects credentials in text before it is shared.
+ * Rules are plain objects so workspaces can disable built-ins or add their own.
+ */
+
+/**
+ * @typedef {Object} SecretRule
+ * @property {string} id - Stable identifier, used in settings
+ * @property {string} name - Human readable name
+ * @property {RegExp} pattern - Global pattern matching the secret
+ * @property {number} [group] - Capture group holding the secret value (defaults to the whole match)
+ */
+
+/** @type {Array<SecretRule>} */
+const BUILT_IN_RULES = [
+    {
+        id: 'aws-access-key-id',
+        name: 'AWS access key ID',
+        pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/g
+    },
+    {
+        id: 'aws-secret-access-key',
+        name: 'AWS secret access key',
+        pattern: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/gi,
+        group: 1
+    },
+    {
+        id: 'azure-storage-key',
+        name: 'Azure storage account key',
+        pattern: /AccountKey=([A-Za-z0-9+/]{86}==)/g,
+        group: 1
+    },
+    {
+        id: 'azure-sas-signature',
+        name: 'Azure SAS token signature',
+        pattern: /[?&]sig=([A-Za-z0-9%+/=]{30,})/g,
+        group: 1
+    },
+    {
+        id: 'azure-client-secret',
+        name: 'Azure AD client secret',
+        pattern: /\b[A-Za-z0-9_~.-]{3}\dQ~[A-Za-z0-9_~.-]{31,34}\b/g
+    },
+    {
+        id: 'gcp-api-key',
+        name: 'Google Cloud API key',
+        pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+    },
+    {
+        id: 'gcp-service-account-key',
+        name: 'Google Cloud service account private key ID',
+        pattern: /"private_key_id"\s*:\s*"([0-9a-f]{40})"/g,
+        group: 1
+    },
+    {
+        id: 'jwt',
+        name: 'JSON Web Token',
+        pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}\b/g
+    },
+    {
+        id: 'private-key',
+        name: 'Private key',
+        pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----|$)/g
+    },
+    {
+        id: 'connection-string-password',
+        name: 'Password in connection string',
+        pattern: /\b(?:password|pwd)\s*=\s*([^;'"\s]+)/gi,
+        group: 1
+    },
+    {
+        id: 'url-credentials',
+        name: 'Password in URL',
+        pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s@/]+)@/gi,
+        group: 1
+    }
+];
+
+// Rule IDs reported for high-entropy strings and .env values; both can be listed in disabledRules
+const ENTROPY_RULE_ID = 'high-entropy-string';
+const ENV_FILE_RULE_ID = 'env-file-value';
+
+const DEFAULT_ENTROPY_THRESHOLD = 4.0;
+
+/**
+ * Shannon entropy of a string, in bits per character
+ * @param {string} value - String to measure
+ * @returns {number} - Entropy
+ */
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Check whether a file name is a dotenv file (.env, .env.local, ...)
+ * @param {string} [fileName] - File name
+ * @returns {boolean}
+ */
+function isEnvFile(fileName) {
+    return Boolean(fileName) && /^\.env(\..+)?$/.test(fileName);
+}
+
+/**
+ * Build the rule list from settings
+ * @param {Object} [settings] - Scanner settings
+ * @param {Array<string>} [settings.disabledRules] - IDs of built-in rules to skip
+ * @param {Array<{ id: string, name?: string, pattern: string, flags?: string, group?: number }>} [settings.customRules] - Extra rules
+ * @returns {Array<SecretRule>} - Active rules
+ */
+function createRules(settings = {}) {
+    const disabled = new Set(settings.disabledRules || []);
+    const custom = (settings.customRules || [])
+        .filter(rule => rule && rule.id && rule.pattern)
+        .map(rule => {
+            try {
+                const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+                return { id: rule.id, name: rule.name || rule.id, pattern: new RegExp(rule.pattern, flags), group: rule.group };
+            } catch (error) {
+                console.error(`Ignoring invalid secret rule "${rule.id}":`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+    return [...BUILT_IN_RULES.filter(rule => !disabled.has(rule.id)), ...custom];
+}
+
+/**
+ * Find secrets in text
+ * @param {string} text - Text to scan
+ * @param {Object} [options] - Scan options
+ * @param {Array<SecretRule>} [options.rules] - Rules to apply (defaults to all built-ins)
+ * @param {string} [options.fileName] - Source file name; every value in a .env file is treated as secret
+ * @param {number} [options.entropyThreshold] - Bits per character above which long tokens are reported, 0 to disable
+ * @param {Array<string>} [options.disabledRules] - Skip the high-entropy-string and env-file-value checks when listed
+ * @param {Array<string>} [options.allowlist] - Patterns of values that are never reported; invalid patterns are ignored
+ * @returns {Array<{ ruleId: string, ruleName: string, line: number, start: number, end: number, value: string }>}
+ *          Findings ordered by position, with 1-based line numbers and offsets of the secret value
+ */
+function scan(text, options = {}) {
+    const rules = options.rules || BUILT_IN_RULES;
+    const threshold = options.entropyThreshold === undefined ? DEFAULT_ENTROPY_THRESHOLD : options.entropyThreshold;
+    const disabled = new Set(options.disabledRules || []);
+    const allowlist = (options.allowlist || [])
+        .map(pattern => {
+            try {
+                return new RegExp(pattern);
+            } catch (error) {
+                console.error(`Ignoring invalid secret allowlist pattern "${pattern}":`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+    const findings = [];
+
+    const add = (ruleId, ruleName, start, value) => {
+        if (!value || allowlist.some(re => re.test(value))) {
+            return;
+        }
+        const end = start + value.length;
+        if (findings.some(f => start < f.end && end > f.start)) {
+            return;
+        }
+        findings.push({ ruleId, ruleName, start, end, value });
+    };
+
+    for (const rule of rules) {
+        const pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const value = rule.group ? match[rule.group] : match[0];
+            if (value) {
+                add(rule.id, rule.name, match.index + match[0].indexOf(value), value);
+            }
+        }
+    }
+
+    if (isEnvFile(options.fileName) && !disabled.has(ENV_FILE_RULE_ID)) {
+        const envPattern = /^\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_.]*\s*=\s*["']?([^\r\n"'#]+?)["']?\s*(?:#.*)?$/gm;
+        let match;
+        while ((match = envPattern.exec(text)) !== null) {
+            add(ENV_FILE_RULE_ID, 'Value from a .env file', match.index + match[0].indexOf(match[1]), match[1]);
+        }
+    }
+
+    if (threshold > 0 && !disabled.has(ENTROPY_RULE_ID)) {
+        const tokenPattern = /[A-Za-z0-9+/=_-]{20,}/g;
+        let match;
+        while ((match = tokenPattern.exec(text)) !== null) {
+            const token = match[0];
+            // Require letters and digits so long identifiers don't count as secrets
+            if (/\d/.test(token) && /[A-Za-z]/.test(token) && shannonEntropy(token) >= threshold) {
+                add(ENTROPY_RULE_ID, 'High-entropy string', match.index, token);
+            }
+        }
+    }
+
+    return findings
+        .sort((a, b) => a.start - b.start)
+        .map(f => ({ ...f, line: text.slice(0, f.start).split('\n').length }));
+}
+
+/**
+ * Replace each finding with a placeholder naming its rule
+ * @param {string} text - Scanned text
+ * @param {Array<{ ruleId: string, start: number, end: number }>} findings - Findings from scan
+ * @returns {string} - Redacted text
+ */
+function redact(text, findings) {
+    let result = text;
+    [...findings]
+        .sort((a, b) => b.start - a.start)
+        .forEach(f => {
+            result = `${result.slice(0, f.start)}[REDACTED ${f.ruleId}]${result.slice(f.end)}`;
+        });
+    return result;
+}
+
+/**
+ * Mask a secret for display, keeping only its first characters
+ * @param {string} value - Secret value
+ * @returns {string} - Masked value
+ */
+function maskValue(value) {
+    const visible = Math.min(4, Math.floor(value.length / 4));
+    return `${value.slice(0, visible)}${'•'.repeat(Math.min(8, value.length - visible))}`;
+}
+
+/**
+ * Describe a finding for the warning shown before sharing
+ * @param {{ ruleName: string, line: number, value: string }} finding - Finding from scan
+ * @param {number} [startLine] - File line of the scanned text's first line; without it, e.g. for diffs and
+ *        terminal output, lines are counted within the snippet
+ * @returns {string} - e.g. "Line 12: JSON Web Token (eyJh••••••••)"
+ */
+function describeFinding(finding, startLine) {
+    const location = startLine ? `Line ${startLine + finding.line - 1}` : `Snippet line ${finding.line}`;
+    return `${location}: ${finding.ruleName} (${maskValue(finding.value)})`;
+}
+
+module.exports = {
+    BUILT_IN_RULES,
+    createRules,
+    scan,
+    redact,
+    maskValue,
+    describeFinding,
+    shannonEntropy
+};
@@ -0,0 +1,198 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const adaptiveCard = require('./adaptiveCard');
+
+const HISTORY_KEY = 'shareToTeams.history';
+
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 500;
+
+// Snippet fields kept in the history; the code itself is read from the source again on resend
+const SNIPPET_FIELDS = ['fileName', 'languageId', 'filePath', 'documentUri', 'startLine', 'endLine'];
+
+let storage = null;
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * Initialize the share history
+ * @param {vscode.ExtensionContext} context - Extension context whose global state holds the history
+ */
+function initialize(context) {
+    storage = context.globalState;
+    context.subscriptions.push(changeEmitter);
+
+    // Earlier versions stored the shared code too
+    const entries = getEntries();
+    if (entries.some(entry => entry.snippet.text !== undefined)) {
+        storage.update(HISTORY_KEY, entries.map(entry => ({ ...entry, snippet: toHistorySnippet(entry.snippet) })));
+    }
+}
+
+/**
+ * Keep only where a snippet came from
+ * @param {Object} snippet - Shared snippet
+ * @returns {Object} - Snippet without its text, note or mentions
+ */
+function toHistorySnippet(snippet) {
+    const result = {};
+    SNIPPET_FIELDS
+        .filter(field => snippet[field] !== undefined)
+        .forEach(field => {
+            result[field] = snippet[field];
+        });
+    return result;
+}
+
+/**
+ * Check whether a recorded share points at lines of a document that can be read again
+ * @param {Object} entry - History entry
+ * @returns {boolean} - True for shares of an editor selection
+ */
+function hasSource(entry) {
+    return Boolean(entry.snippet.documentUri && entry.snippet.startLine);
+}
+
+/**
+ * Get all recorded shares, newest first
+ * @returns {Array<Object>} - History entries
+ */
+function getEntries() {
+    return storage ? storage.get(HISTORY_KEY, []) : [];
+}
+
+/**
+ * Get a recorded share by ID
+ * @param {string} id - Entry ID
+ * @returns {Object|undefined} - History entry
+ */
+function getEntry(id) {
+    return getEntries().find(entry => entry.id === id);
+}
+
+/**
+ * Record a share
+ * Only the snippet's file and line range are stored, not its code.
+ * @param {Object} share - What was shared
+ * @param {Object} share.target - Share target (people, chat or channel)
+ * @param {Object} share.snippet - Shared snippet
+ * @param {string} share.deliveryMode - 'graph' or 'deepLink'
+ * @param {string} [share.webUrl] - Graph message webUrl, when there is one
+ * @returns {Promise<Object>} - Stored entry
+ */
+async function addEntry({ target, snippet, deliveryMode, webUrl }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: Date.now(),
+        target: target,
+        snippet: toHistorySnippet(snippet),
+        deliveryMode: deliveryMode,
+        webUrl: webUrl || null
+    };
+    await update([entry, ...getEntries()].slice(0, MAX_ENTRIES));
+    return entry;
+}
+
+/**
+ * Delete a recorded share
+ * @param {string} id - Entry ID
+ */
+async function removeEntry(id) {
+    await update(getEntries().filter(entry => entry.id !== id));
+}
+
+/**
+ * Delete all recorded shares
+ */
+async function clearEntries() {
+    await update([]);
+}
+
+/**
+ * Persist the history and refresh the view
+ * @param {Array<Object>} entries - New history
+ */
+async function update(entries) {
+    if (!storage) {
+        return;
+    }
+    await storage.update(HISTORY_KEY, entries);
+    changeEmitter.fire();
+}
+
+/**
+ * Get a display name for a share target
+ * @param {Object} target - Share target
+ * @returns {string} - Target name
+ */
+function getTargetName(target) {
+    if (target.name) {
+        return target.name;
+    }
+    if (target.type === 'people') {
+        return (target.recipients || []).map(r => r.displayName || r.email).join(', ');
+    }
+    return 'Teams';
+}
+
+/**
+ * Get the icon for a share target
+ * @param {Object} target - Share target
+ * @returns {vscode.ThemeIcon} - Tree item icon
+ */
+function getTargetIcon(target) {
+    switch (target.type) {
+        case 'chat':
+            return new vscode.ThemeIcon('comment-discussion');
+        case 'channel':
+            return new vscode.ThemeIcon('organization');
+        default:
+            return new vscode.ThemeIcon(target.recipients && target.recipients.length > 1 ? 'organization' : 'person');
+    }
+}
+
+/**
+ * Tree data provider for the "Teams Shares" view
+ * @type {vscode.TreeDataProvider<Object>}
+ */
+const treeDataProvider = {
+    onDidChangeTreeData: changeEmitter.event,
+
+    getChildren(element) {
+        return element ? [] : getEntries();
+    },
+
+    getTreeItem(entry) {
+        const { snippet, target } = entry;
+        const item = new vscode.TreeItem(getTargetName(target), vscode.TreeItemCollapsibleState.None);
+        const lineRange = adaptiveCard.formatLineRange(snippet.startLine, snippet.endLine);
+        item.id = entry.id;
+        item.description = [snippet.fileName, lineRange].filter(Boolean).join(' · ');
+        item.iconPath = getTargetIcon(target);
+        item.tooltip = [
+            `${getTargetName(target)}`,
+            `${snippet.fileName || 'Snippet'}${lineRange ? ` (${lineRange})` : ''}`,
+            `Shared ${new Date(entry.timestamp).toLocaleString()} via ${entry.deliveryMode === 'graph' ? 'Microsoft Graph' : 'deep link'}`
+        ].join('\n');
+        item.contextValue = hasSource(entry) ? 'teamsShare.withSource' : 'teamsShare';
+        if (hasSource(entry)) {
+            item.command = {
+                command: 'extension.teamsShareHistory.openSource',
+                title: 'Open Source Location',
+                arguments: [entry]
+            };
+        }
+        return item;
+    }
+};
+
+module.exports = {
+    initialize,
+    getEntries,
+    getEntry,
+    addEntry,
+    removeEntry,
+    clearEntries,
+    hasSource,
+    getTargetName,
+    treeDataProvider
+};
@@ -1,57 +1,209 @@
-const { Client } = require('@microsoft/microsoft-graph-client');
-const vscode = require('vscode');
-const axios = require('axios');
+const graph = require('./graphClient');
+
+// Upper bound on chats loaded when following @odata.nextLink
+const MAX_CHATS = 250;
 
 /**
- * Get the user's Teams chats
+ * Get the signed-in user's profile
  * @param {string} accessToken - Microsoft Graph API access token
+ * @returns {Promise<Object>} - User profile (id, displayName, mail, userPrincipalName)
+ */
+async function getCurrentUser(accessToken) {
+    return graph.get(accessToken, '/me', { $select: 'id,displayName,mail,userPrincipalName' });
+}
+
+/**
+ * Get the user's Teams chats, most recently active first
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {number} [maxChats] - Maximum number of chats to load across pages
  * @returns {Promise<Array>} - List of chats
  */
-async function getChats(accessToken) {
+async function getChats(accessToken, maxChats = MAX_CHATS) {
     try {
-        const client = Client.init({
-            authProvider: (done) => {
-                done(null, accessToken);
-            }
+        console.log('Fetching Teams chats with expanded members...');
+        const chats = await graph.getAll(accessToken, '/me/chats', {
+            query: {
+                // Graph only orders chats by their last message when the preview is expanded
+                $expand: 'members,lastMessagePreview',
+                $orderby: 'lastMessagePreview/createdDateTime desc',
+                $top: 50
+            },
+            maxItems: maxChats
         });
 
-        // Verify token by getting user profile
-        console.log('Validating token by fetching user profile...');
-        const userProfile = await client.api('/me').get();
-        console.log('User profile fetched successfully:', userProfile.id);
-
-        // Get chats with expanded members
-        console.log('Fetching Teams chats with expanded members...');
-        const response = await client
-            .api('/me/chats')
-            .expand('members')
-            .top(50)
-            .get();
-
-        console.log('Teams chats fetched successfully:', response.value.length, 'chats found');
-        return response.value;
+        console.log('Teams chats fetched successfully:', chats.length, 'chats found');
+        return sortChatsByActivity(chats);
     } catch (error) {
         console.error('Error getting Teams chats:', error);
-        if (error.statusCode === 401 || error.statusCode === 403) {
-            console.error('Authorization error details:', error.body);
+        if (graph.isAccessDenied(error)) {
             throw new Error('Not authorized to access Teams chats. Please sign out and try again or check permissions in Azure AD.');
         }
-        try {
-            console.log('Falling back to axios for fetching chats...');
-            const response = await axios.get('https://graph.microsoft.com/v1.0/me/chats?$expand=members', {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            if (response.data && response.data.value) {
-                console.log('Teams chats fetched via axios fallback:', response.data.value.length, 'chats found');
-                return response.data.value;
+        throw new Error(`Failed to get Teams chats: ${error.message}`);
+    }
+}
+
+/**
+ * Get the time of the last activity in a chat
+ * @param {Object} chat - Graph chat object
+ * @returns {number} - Timestamp in milliseconds, 0 if unknown
+ */
+function getChatLastActivity(chat) {
+    const timestamp = (chat.lastMessagePreview && chat.lastMessagePreview.createdDateTime) ||
+        chat.lastUpdatedDateTime ||
+        chat.createdDateTime;
+    return timestamp ? Date.parse(timestamp) || 0 : 0;
+}
+
+/**
+ * Sort chats so the most recently active come first
+ * @param {Array<Object>} chats - Graph chat objects
+ * @returns {Array<Object>} - Sorted chats
+ */
+function sortChatsByActivity(chats) {
+    return chats.sort((a, b) => getChatLastActivity(b) - getChatLastActivity(a));
+}
+
+/**
+ * Get a readable name for a chat: its topic, or the other members' names
+ * @param {Object} chat - Graph chat object with expanded members
+ * @param {string} [currentUserId] - ID of the signed-in user, excluded from member names
+ * @returns {string} - Chat display name
+ */
+function getChatDisplayName(chat, currentUserId) {
+    if (chat.topic) {
+        return chat.topic;
+    }
+    const names = (chat.members || [])
+        .filter(m => m.userId !== currentUserId)
+        .map(m => m.displayName || m.email)
+        .filter(Boolean);
+    return names.length > 0 ? names.join(', ') : 'Unnamed chat';
+}
+
+/**
+ * Build a chat member entry for a user
+ * @param {string} userId - AAD object ID or user principal name
+ * @returns {Object} - Conversation member payload
+ */
+function buildChatMember(userId) {
+    return {
+        '@odata.type': '#microsoft.graph.aadUserConversationMember',
+        roles: ['owner'],
+        'user@odata.bind': `${graph.getBaseUrl()}/users('${encodeURIComponent(userId)}')`
+    };
+}
+
+/**
+ * Find an existing group chat whose members are exactly the current user and the recipients
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {Object} me - Current user profile
+ * @param {Array<string>} emails - Lower-cased recipient emails
+ * @returns {Promise<Object|null>} - Matching chat or null
+ */
+async function findGroupChat(accessToken, me, emails) {
+    const myEmails = [me.mail, me.userPrincipalName].filter(Boolean).map(e => e.toLowerCase());
+    const chats = await graph.getAll(accessToken, '/me/chats', {
+        query: {
+            $filter: "chatType eq 'group'",
+            $expand: 'members',
+            $top: 50
+        },
+        maxItems: MAX_CHATS
+    });
+
+    const wanted = new Set(emails);
+    return chats.find(chat => {
+        const memberEmails = (chat.members || [])
+            .map(m => (m.email || '').toLowerCase())
+            .filter(e => e && !myEmails.includes(e));
+        return memberEmails.length === wanted.size && memberEmails.every(e => wanted.has(e));
+    }) || null;
+}
+
+/**
+ * Find the 1:1 or group chat with the given recipients, creating it if it doesn't exist
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {Array<Object>} recipients - Recipients with email and optional userPrincipalName
+ * @returns {Promise<Object>} - Chat object
+ */
+async function getOrCreateChat(accessToken, recipients) {
+    try {
+        const me = await graph.get(accessToken, '/me', { $select: 'id,mail,userPrincipalName' });
+        const userIds = recipients.map(r => r.userPrincipalName || r.email);
+        const chatType = userIds.length === 1 ? 'oneOnOne' : 'group';
+
+        if (chatType === 'group') {
+            const emails = recipients.map(r => r.email.toLowerCase());
+            const existingChat = await findGroupChat(accessToken, me, emails);
+            if (existingChat) {
+                console.log('Using existing group chat:', existingChat.id);
+                return existingChat;
             }
-        } catch (axiosError) {
-            console.error('Axios fallback also failed:', axiosError);
         }
-        throw new Error('Failed to get Teams chats. Ensure Microsoft Teams is installed and you are logged in.');
+
+        // Graph returns the existing chat for oneOnOne requests, so this only creates when needed
+        console.log(`Creating ${chatType} chat with ${userIds.length} recipient(s)...`);
+        const chat = await graph.post(accessToken, '/chats', {
+            chatType: chatType,
+            members: [me.id, ...userIds].map(buildChatMember)
+        });
+
+        console.log('Chat ready:', chat.id);
+        return chat;
+    } catch (error) {
+        console.error('Error finding or creating Teams chat:', error);
+        if (graph.isAccessDenied(error)) {
+            throw new Error('Not authorized to create Teams chats. Please sign out and try again or check permissions in Azure AD.');
+        }
+        throw new Error(`Failed to open Teams chat: ${error.message}`);
+    }
+}
+
+/**
+ * Build the Graph chatMessage payload
+ * @param {string} content - Message content
+ * @param {Object} [options] - Message options
+ * @param {string} [options.contentType] - 'text' or 'html' (defaults to 'text')
+ * @param {Array<Object>} [options.attachments] - Attachments referenced from the body, e.g. Adaptive Cards
+ * @param {Array<Object>} [options.mentions] - Mentions referenced by <at id="..."> tags in the body
+ * @returns {Object} - chatMessage payload
+ */
+function buildMessage(content, options = {}) {
+    const message = {
+        body: {
+            contentType: options.contentType || 'text',
+            content: content
+        }
+    };
+    if (options.attachments && options.attachments.length > 0) {
+        message.attachments = options.attachments;
+    }
+    if (options.mentions && options.mentions.length > 0) {
+        message.mentions = options.mentions;
+    }
+    return message;
+}
+
+/**
+ * Post a message to a Graph messages collection
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} resourcePath - Messages collection path, e.g. /chats/{id}/messages
+ * @param {string} content - Message content
+ * @param {Object} [options] - Message options passed to buildMessage
+ * @returns {Promise<Object>} - Created chatMessage
+ */
+async function postMessage(accessToken, resourcePath, content, options = {}) {
+    try {
+        console.log('Posting message to:', resourcePath);
+        const response = await graph.post(accessToken, resourcePath, buildMessage(content, options));
+        console.log('Message sent successfully:', response.id);
+        return response;
+    } catch (error) {
+        console.error('Error sending message to Teams:', error);
+        if (graph.isAccessDenied(error)) {
+            throw new Error('Not authorized to send messages here. Please sign out and try again or check permissions in Azure AD.');
+        }
+        throw new Error(`Failed to send message to Teams: ${error.message}`);
     }
 }
 
@@ -60,58 +212,208 @@ async function getChats(accessToken) {
  * @param {string} accessToken - Microsoft Graph API access token
  * @param {string} chatId - ID of the chat to send the message to
  * @param {string} content - Message content
+ * @param {Object} [options] - Message options passed to buildMessage
  * @returns {Promise<Object>} - API response
  */
-async function sendMessage(accessToken, chatId, content) {
+async function sendMessage(accessToken, chatId, content, options = {}) {
+    return postMessage(accessToken, `/chats/${chatId}/messages`, content, options);
+}
+
+/**
+ * Get the teams the user is a member of
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @returns {Promise<Array>} - List of teams sorted by name
+ */
+async function getJoinedTeams(accessToken) {
     try {
-        const client = Client.init({
-            authProvider: (done) => {
-                done(null, accessToken);
-            }
-        });
+        const teams = await graph.getAll(accessToken, '/me/joinedTeams');
+        console.log('Joined teams fetched successfully:', teams.length, 'teams found');
+        return teams.sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''));
+    } catch (error) {
+        console.error('Error getting joined teams:', error);
+        if (graph.isAccessDenied(error)) {
+            throw new Error('Not authorized to list your teams. Please sign out and try again or check permissions in Azure AD.');
+        }
+        throw new Error(`Failed to get teams: ${error.message}`);
+    }
+}
 
-        const message = {
-            body: {
-                contentType: 'text',
-                content: content
-            }
-        };
+/**
+ * Get the members of a chat
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} chatId - ID of the chat
+ * @returns {Promise<Array>} - Conversation members (userId, displayName, email)
+ */
+async function getChatMembers(accessToken, chatId) {
+    try {
+        const members = await graph.getAll(accessToken, `/chats/${chatId}/members`);
+        return members.filter(member => member.userId);
+    } catch (error) {
+        console.error('Error getting chat members:', error);
+        throw new Error(`Failed to get chat members: ${error.message}`);
+    }
+}
 
-        console.log('Sending message to chat ID:', chatId);
-        const response = await client
-            .api(`/chats/${chatId}/messages`)
-            .post(message);
+/**
+ * Get the channels of a team
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} teamId - ID of the team
+ * @returns {Promise<Array>} - List of channels
+ */
+async function getChannels(accessToken, teamId) {
+    try {
+        const channels = await graph.getAll(accessToken, `/teams/${teamId}/channels`);
+        console.log('Channels fetched successfully:', channels.length, 'channels found');
+        return channels;
+    } catch (error) {
+        console.error('Error getting channels:', error);
+        if (graph.isAccessDenied(error)) {
+            throw new Error('Not authorized to list channels of this team.');
+        }
+        throw new Error(`Failed to get channels: ${error.message}`);
+    }
+}
 
-        console.log('Message sent successfully:', response.id);
-        return response;
+/**
+ * Get the latest top-level messages (threads) of a channel
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} teamId - ID of the team
+ * @param {string} channelId - ID of the channel
+ * @param {number} [top] - Number of messages to fetch
+ * @returns {Promise<Array>} - User messages, newest first
+ */
+async function getChannelMessages(accessToken, teamId, channelId, top = 20) {
+    try {
+        const response = await graph.get(accessToken, `/teams/${teamId}/channels/${channelId}/messages`, { $top: top });
+
+        // Skip system events and deleted posts, which can't be replied to meaningfully
+        const messages = (response.value || [])
+            .filter(m => m.messageType === 'message' && !m.deletedDateTime);
+        console.log('Channel messages fetched successfully:', messages.length, 'threads found');
+        return messages;
     } catch (error) {
-        console.error('Error sending message to Teams:', error);
+        console.error('Error getting channel messages:', error);
+        if (graph.isAccessDenied(error)) {
+            throw new Error('Not authorized to read messages in this channel.');
+        }
+        throw new Error(`Failed to get channel messages: ${error.message}`);
+    }
+}
+
+/**
+ * Post a new message to a channel
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} teamId - ID of the team
+ * @param {string} channelId - ID of the channel
+ * @param {string} content - Message content
+ * @param {Object} [options] - Message options passed to buildMessage
+ * @returns {Promise<Object>} - Created chatMessage
+ */
+async function sendChannelMessage(accessToken, teamId, channelId, content, options = {}) {
+    return postMessage(accessToken, `/teams/${teamId}/channels/${channelId}/messages`, content, options);
+}
+
+/**
+ * Reply to an existing channel thread
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} teamId - ID of the team
+ * @param {string} channelId - ID of the channel
+ * @param {string} messageId - ID of the thread's root message
+ * @param {string} content - Message content
+ * @param {Object} [options] - Message options passed to buildMessage
+ * @returns {Promise<Object>} - Created reply
+ */
+async function replyToChannelMessage(accessToken, teamId, channelId, messageId, content, options = {}) {
+    return postMessage(accessToken, `/teams/${teamId}/channels/${channelId}/messages/${messageId}/replies`, content, options);
+}
+
+/**
+ * Upload a snippet to the user's OneDrive, where Teams keeps chat attachments
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {string} fileName - Name of the file to create
+ * @param {string} content - File content
+ * @returns {Promise<Object>} - Created driveItem
+ */
+async function uploadSnippetFile(accessToken, fileName, content) {
+    try {
+        const uploadPath = `/me/drive/root:/Microsoft Teams Chat Files/${encodeURIComponent(fileName)}:/content`;
+
+        console.log('Uploading snippet file:', fileName);
+        const driveItem = await graph.put(accessToken, uploadPath, content, {
+            query: { '@microsoft.graph.conflictBehavior': 'rename' },
+            headers: { 'Content-Type': 'text/plain' }
+        });
+
+        // Recipients need read access; an organization link is best-effort since personal accounts lack it
         try {
-            const message = {
-                body: {
-                    contentType: 'text',
-                    content: content
-                }
-            };
-            console.log('Falling back to axios for sending message...');
-            const response = await axios.post(`https://graph.microsoft.com/v1.0/chats/${chatId}/messages`, message, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            if (response.data) {
-                console.log('Message sent via axios fallback:', response.data.id);
-                return response.data;
-            }
-        } catch (axiosError) {
-            console.error('Axios fallback also failed:', axiosError);
+            await graph.post(accessToken, `/me/drive/items/${driveItem.id}/createLink`, { type: 'view', scope: 'organization' });
+        } catch (linkError) {
+            console.log('Unable to create organization sharing link:', linkError.message);
         }
-        throw new Error('Failed to send message to Teams. Try the fallback method.');
+
+        console.log('Snippet file uploaded:', driveItem.webUrl);
+        return driveItem;
+    } catch (error) {
+        console.error('Error uploading snippet file:', error);
+        if (graph.isAccessDenied(error)) {
+            throw new Error('Not authorized to upload files to OneDrive. Please sign out and try again or check permissions in Azure AD.');
+        }
+        throw new Error(`Failed to upload snippet file: ${error.message}`);
+    }
+}
+
+/**
+ * Build a chat message file attachment for an uploaded driveItem
+ * @param {Object} driveItem - Uploaded driveItem
+ * @returns {{ content: string, attachments: Array<Object> }} - Message body content and attachments
+ */
+function createFileAttachment(driveItem) {
+    // Graph expects the attachment ID to be the GUID from the driveItem's eTag, e.g. "{GUID},1"
+    const match = /\{?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i.exec(driveItem.eTag || '');
+    const id = match ? match[1] : driveItem.id;
+    return {
+        content: `<attachment id="${id}"></attachment>`,
+        attachments: [{
+            id: id,
+            contentType: 'reference',
+            contentUrl: driveItem.webUrl,
+            name: driveItem.name
+        }]
+    };
+}
+
+/**
+ * Get a short plain-text preview of a message
+ * @param {Object} message - Graph chatMessage
+ * @param {number} [maxLength] - Maximum preview length
+ * @returns {string} - Preview text
+ */
+function getMessagePreview(message, maxLength = 80) {
+    const body = message.body && message.body.content ? message.body.content : '';
+    const text = (message.subject || body.replace(/<[^>]+>/g, ' '))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!text) {
+        return '(no text)';
     }
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
 }
 
 module.exports = {
+    getCurrentUser,
     getChats,
-    sendMessage
+    getChatLastActivity,
+    getChatDisplayName,
+    getOrCreateChat,
+    getChatMembers,
+    sendMessage,
+    getJoinedTeams,
+    getChannels,
+    getChannelMessages,
+    sendChannelMessage,
+    replyToChannelMessage,
+    uploadSnippetFile,
+    createFileAttachment,
+    getMessagePreview
 };
\ No newline at end of file
@@ -0,0 +1,135 @@
+const vscode = require('vscode');
+
+// Output kept per command; earlier output of very chatty commands is dropped
+const MAX_OUTPUT_LENGTH = 512 * 1024;
+
+// Runs of identical lines at least this long are collapsed
+const MIN_REPEATED_LINES = 3;
+
+// CSI sequences (colors, cursor moves), OSC sequences (titles, shell integration marks) and other escapes
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+const runningExecutions = new Map();
+const lastExecutions = new Map();
+
+/**
+ * Start recording terminal commands reported by shell integration
+ * The shell execution events need VS Code 1.93; older versions share terminal selections only.
+ * @param {vscode.ExtensionContext} context - Extension context owning the listeners
+ */
+function initialize(context) {
+    if (!vscode.window.onDidStartTerminalShellExecution || !vscode.window.onDidEndTerminalShellExecution) {
+        console.log('Shell execution events are not available; only terminal selections can be shared');
+        return;
+    }
+
+    context.subscriptions.push(
+        vscode.window.onDidStartTerminalShellExecution(async event => {
+            const record = {
+                commandLine: event.execution.commandLine.value,
+                output: '',
+                exitCode: undefined
+            };
+            runningExecutions.set(event.execution, record);
+            // Output is only available to readers that start before the command writes it
+            try {
+                for await (const data of event.execution.read()) {
+                    record.output = (record.output + data).slice(-MAX_OUTPUT_LENGTH);
+                }
+            } catch (error) {
+                console.log('Stopped reading terminal output:', error.message);
+            }
+        }),
+        vscode.window.onDidEndTerminalShellExecution(event => {
+            const record = runningExecutions.get(event.execution);
+            runningExecutions.delete(event.execution);
+            if (record) {
+                record.exitCode = event.exitCode;
+                lastExecutions.set(event.terminal, record);
+            }
+        }),
+        vscode.window.onDidCloseTerminal(terminal => lastExecutions.delete(terminal))
+    );
+}
+
+/**
+ * Get the last finished command of a terminal
+ * @param {vscode.Terminal} terminal - Terminal
+ * @returns {{ commandLine: string, output: string, exitCode: number|undefined }|undefined} - Command, undefined without shell integration
+ */
+function getLastExecution(terminal) {
+    return lastExecutions.get(terminal);
+}
+
+/**
+ * Get the text selected in the active terminal
+ * Terminal selections aren't exposed to extensions, so the selection is copied and the clipboard restored.
+ * @returns {Promise<string>} - Selected text, empty when nothing is selected
+ */
+async function getTerminalSelection() {
+    const previous = await vscode.env.clipboard.readText();
+    await vscode.env.clipboard.writeText('');
+    try {
+        await vscode.commands.executeCommand('workbench.action.terminal.copySelection');
+        return await vscode.env.clipboard.readText();
+    } finally {
+        await vscode.env.clipboard.writeText(previous);
+    }
+}
+
+/**
+ * Remove ANSI escape sequences and carriage-return redraws from terminal output
+ * @param {string} text - Raw terminal output
+ * @returns {string} - Plain text
+ */
+function stripAnsi(text) {
+    return text
+        .replace(ANSI_PATTERN, '')
+        .replace(/\r\n/g, '\n')
+        // Progress bars redraw a line with \r; keep what was drawn last
+        .split('\n')
+        .map(line => line.split('\r').filter(Boolean).pop() || '')
+        .join('\n');
+}
+
+/**
+ * Collapse runs of identical lines into one line and a count
+ * @param {string} text - Text
+ * @returns {string} - Text with long runs collapsed
+ */
+function collapseRepeatedLines(text) {
+    const lines = text.split('\n');
+    const result = [];
+    let i = 0;
+    while (i < lines.length) {
+        let run = 1;
+        while (i + run < lines.length && lines[i + run] === lines[i]) {
+            run++;
+        }
+        if (run >= MIN_REPEATED_LINES && lines[i].trim()) {
+            result.push(lines[i], `… (line repeated ${run - 1} more times)`);
+        } else {
+            result.push(...lines.slice(i, i + run));
+        }
+        i += run;
+    }
+    return result.join('\n');
+}
+
+/**
+ * Prepare terminal text for sharing
+ * @param {string} text - Raw terminal text
+ * @returns {string} - Plain text without trailing blank lines
+ */
+function cleanOutput(text) {
+    return collapseRepeatedLines(stripAnsi(text)).replace(/\s+$/, '');
+}
+
+module.exports = {
+    initialize,
+    getLastExecution,
+    getTerminalSelection,
+    stripAnsi,
+    collapseRepeatedLines,
+    cleanOutput
+};
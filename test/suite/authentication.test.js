@@ -0,0 +1,342 @@
+const assert = require('assert');
+const http = require('http');
+const vscode = require('vscode');
+const sinon = require('sinon');
+const { PublicClientApplication } = require('@azure/msal-node');
+const auth = require('../../authentication');
+
+const REDIRECT_URI = 'http://localhost/auth/callback';
+
+/**
+ * Request a URL like a browser, following one redirect
+ * @param {string} url - URL
+ * @returns {Promise<{ status: number, body: string }>} - Final response
+ */
+function browse(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, res => {
+            if (res.statusCode === 302) {
+                res.resume();
+                browse(new URL(res.headers.location, url).href).then(resolve, reject);
+                return;
+            }
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Start a fake authorization endpoint that answers like the identity provider
+ * @param {string} outcome - "grant", "deny" or "abandon" (never redirects back)
+ * @returns {Promise<{ url: string, close: function(): void }>} - Authorize URL and cleanup
+ */
+function startAuthorizationEndpoint(outcome) {
+    const pending = [];
+    const server = http.createServer((req, res) => {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const redirect = new URL(query.get('redirect_uri'));
+        redirect.searchParams.set('state', query.get('state'));
+        if (outcome === 'grant') {
+            redirect.searchParams.set('code', 'granted-code');
+        } else if (outcome === 'deny') {
+            redirect.searchParams.set('error', 'access_denied');
+            redirect.searchParams.set('error_description', 'The user <declined> consent');
+        } else {
+            pending.push(res);
+            return;
+        }
+        res.writeHead(302, { Location: redirect.href, Connection: 'close' });
+        res.end();
+    });
+    return new Promise(resolve => server.listen(0, 'localhost', () => resolve({
+        url: `http://localhost:${server.address().port}/authorize`,
+        close: () => {
+            pending.forEach(res => res.destroy());
+            server.close();
+        }
+    })));
+}
+
+/**
+ * Run a sign-in against the fake endpoint
+ * @param {string} outcome - Outcome of the fake endpoint
+ * @param {Object} [options] - waitForAuthCode options
+ * @returns {Promise<{ result: Promise, page: function(): Promise, redirectUri: string }>} - Sign-in result, the page the browser ended on and the bound redirect URI
+ */
+async function signIn(outcome, options = {}) {
+    const endpoint = await startAuthorizationEndpoint(outcome);
+    let page;
+    let resolveListening;
+    const listening = new Promise(resolve => {
+        resolveListening = resolve;
+    });
+    const result = auth.waitForAuthCode(REDIRECT_URI, 'expected-state', {
+        ...options,
+        onListening: async (redirectUri) => {
+            page = browse(`${endpoint.url}?redirect_uri=${encodeURIComponent(redirectUri)}&state=expected-state`);
+            page.catch(() => {});
+            resolveListening(redirectUri);
+        }
+    });
+    result.catch(() => {}).then(() => endpoint.close());
+    return { result, page: () => page, redirectUri: await listening };
+}
+
+/**
+ * Create in-memory extension storage
+ * @returns {{ get: function(string, *): *, update: function(string, *): Promise<void> }} - Memento
+ */
+function createMemento() {
+    const values = new Map();
+    return {
+        get: (key, defaultValue) => (values.has(key) ? values.get(key) : defaultValue),
+        update: async (key, value) => { values.set(key, value); }
+    };
+}
+
+/**
+ * Create an MSAL account as the token cache returns it
+ * @param {string} id - Home account ID
+ * @param {string} username - User name
+ * @returns {Object} - MSAL account info
+ */
+function createMsalAccount(id, username) {
+    return { homeAccountId: id, username, name: username, environment: 'login.microsoftonline.com' };
+}
+
+suite('Authentication Token Source Test Suite', () => {
+    let settings;
+    let context;
+    let cachedAccounts;
+
+    setup(() => {
+        settings = {};
+        cachedAccounts = [];
+        context = {
+            secrets: { get: async () => undefined, store: async () => {}, delete: async () => {} },
+            globalState: createMemento(),
+            workspaceState: createMemento(),
+            globalStoragePath: '/nonexistent/share-to-teams'
+        };
+        auth.initialize(context);
+
+        sinon.stub(vscode.workspace, 'getConfiguration').callsFake(section => ({
+            get: (key, defaultValue) => {
+                const name = `${section}.${key}`;
+                return name in settings ? settings[name] : defaultValue;
+            }
+        }));
+        sinon.stub(vscode.window, 'withProgress').callsFake((options, task) =>
+            task({ report: () => {} }, { onCancellationRequested: () => ({ dispose: () => {} }) }));
+        sinon.stub(vscode.window, 'showInformationMessage').resolves(undefined);
+        sinon.stub(vscode.window, 'showErrorMessage').resolves(undefined);
+        sinon.stub(PublicClientApplication.prototype, 'getTokenCache').returns({
+            getAllAccounts: async () => cachedAccounts,
+            removeAccount: async () => {}
+        });
+    });
+
+    teardown(() => {
+        sinon.restore();
+    });
+
+    /**
+     * Let the device code flow sign in as an account
+     * @param {Object} account - MSAL account info
+     * @returns {sinon.SinonStub} - acquireTokenByDeviceCode stub
+     */
+    const stubDeviceCodeSignIn = (account) => sinon.stub(PublicClientApplication.prototype, 'acquireTokenByDeviceCode').callsFake(async request => {
+        request.deviceCodeCallback({ userCode: 'ABCD-1234', verificationUri: 'https://microsoft.com/devicelogin' });
+        return { accessToken: 'device-token', account, scopes: request.scopes };
+    });
+
+    test('getAccessToken should sign in with a device code when the flow asks for it', async () => {
+        settings = { 'shareToTeams.auth.clientId': 'client-id', 'shareToTeams.auth.flow': 'deviceCode' };
+        const deviceCode = stubDeviceCodeSignIn(createMsalAccount('ada-id', 'ada@contoso.com'));
+
+        assert.strictEqual(await auth.getAccessToken(auth.SCOPES.chat), 'device-token');
+        assert.ok(deviceCode.calledOnce);
+        assert.ok(deviceCode.firstCall.args[0].scopes.includes('Chat.ReadWrite'));
+        assert.ok(vscode.window.showInformationMessage.calledWithMatch(/ABCD-1234.*https:\/\/microsoft\.com\/devicelogin/));
+        assert.deepStrictEqual(context.globalState.get('shareToTeams.activeAccount'), { source: 'msal', id: 'ada-id', label: 'ada@contoso.com' });
+        assert.ok(vscode.window.showErrorMessage.notCalled);
+    });
+
+    test('getAccessToken should sign in again to ask for missing user consent', async () => {
+        settings = { 'shareToTeams.auth.clientId': 'client-id', 'shareToTeams.auth.flow': 'deviceCode' };
+        const deviceCode = stubDeviceCodeSignIn(createMsalAccount('ada-id', 'ada@contoso.com'));
+        deviceCode.onFirstCall().rejects(Object.assign(new Error('AADSTS65001: The user or administrator has not consented to use the application.'), {
+            errorCode: 'invalid_grant',
+            subError: 'consent_required'
+        }));
+
+        assert.strictEqual(await auth.getAccessToken(auth.SCOPES.files), 'device-token');
+        assert.ok(deviceCode.calledTwice);
+        assert.ok(vscode.window.showErrorMessage.notCalled);
+    });
+
+    test('getAccessToken should use the pinned account instead of the first cached one', async () => {
+        settings = { 'shareToTeams.auth.clientId': 'client-id' };
+        cachedAccounts = [createMsalAccount('ada-id', 'ada@contoso.com'), createMsalAccount('bob-id', 'bob@fabrikam.com')];
+        await context.workspaceState.update('shareToTeams.pinnedAccount', { source: 'msal', id: 'bob-id', label: 'bob@fabrikam.com' });
+        const silent = sinon.stub(PublicClientApplication.prototype, 'acquireTokenSilent').resolves({ accessToken: 'bob-token', scopes: [] });
+
+        assert.strictEqual(await auth.getAccessToken(), 'bob-token');
+        assert.strictEqual(silent.firstCall.args[0].account.homeAccountId, 'bob-id');
+    });
+
+    test('getAccessToken should sign in again and re-pin when the pinned account is gone', async () => {
+        settings = { 'shareToTeams.auth.clientId': 'client-id', 'shareToTeams.auth.flow': 'deviceCode' };
+        cachedAccounts = [createMsalAccount('ada-id', 'ada@contoso.com')];
+        await context.workspaceState.update('shareToTeams.pinnedAccount', { source: 'msal', id: 'gone-id', label: 'gone@fabrikam.com' });
+        const silent = sinon.stub(PublicClientApplication.prototype, 'acquireTokenSilent').resolves({ accessToken: 'ada-token', scopes: [] });
+        stubDeviceCodeSignIn(createMsalAccount('bob-id', 'bob@fabrikam.com'));
+
+        assert.strictEqual(await auth.getAccessToken(), 'device-token');
+        // The other cached account isn't used in place of the pinned one
+        assert.ok(silent.notCalled);
+        assert.deepStrictEqual(context.workspaceState.get('shareToTeams.pinnedAccount'), { source: 'msal', id: 'bob-id', label: 'bob@fabrikam.com' });
+        assert.strictEqual(context.globalState.get('shareToTeams.activeAccount'), undefined);
+    });
+
+    test('getAccessToken should use the VS Code account in auto mode until a client ID is set', async () => {
+        const getSession = sinon.stub(vscode.authentication, 'getSession').resolves({
+            accessToken: 'vscode-token',
+            account: { id: 'vscode-account', label: 'ada@contoso.com' }
+        });
+        assert.strictEqual(await auth.getAccessToken(), 'vscode-token');
+        assert.strictEqual(getSession.firstCall.args[0], 'microsoft');
+        assert.ok(!getSession.firstCall.args[1].includes('offline_access'));
+
+        settings = { 'shareToTeams.auth.clientId': 'client-id' };
+        cachedAccounts = [createMsalAccount('ada-id', 'ada@contoso.com')];
+        sinon.stub(PublicClientApplication.prototype, 'acquireTokenSilent').resolves({ accessToken: 'msal-token', scopes: [] });
+        assert.strictEqual(await auth.getAccessToken(), 'msal-token');
+        assert.ok(getSession.calledOnce);
+    });
+});
+
+suite('Authentication Test Suite', () => {
+    test('isUserConsentError should recognise consent the user can still give', () => {
+        assert.strictEqual(auth.isUserConsentError({ errorCode: 'invalid_grant', subError: 'consent_required' }), true);
+        assert.strictEqual(auth.isUserConsentError(new Error('AADSTS65001: The user or administrator has not consented to use the application.')), true);
+        assert.strictEqual(auth.isUserConsentError(new Error('AADSTS90094: The grant requires admin permission.')), false);
+    });
+
+    test('getAuthority should build authorities from tenants', () => {
+        assert.strictEqual(auth.getAuthority('common'), 'https://login.microsoftonline.com/common');
+        assert.strictEqual(auth.getAuthority(' contoso.onmicrosoft.com '), 'https://login.microsoftonline.com/contoso.onmicrosoft.com');
+        assert.strictEqual(auth.getAuthority(''), 'https://login.microsoftonline.com/common');
+        assert.strictEqual(auth.getAuthority('https://login.example.com/tenant/'), 'https://login.example.com/tenant');
+        assert.strictEqual(auth.getAuthority('contoso.onmicrosoft.us', 'https://login.microsoftonline.us'), 'https://login.microsoftonline.us/contoso.onmicrosoft.us');
+    });
+
+    test('parsePortRange should accept ports and ranges', () => {
+        assert.deepStrictEqual(auth.parsePortRange(''), [0]);
+        assert.deepStrictEqual(auth.parsePortRange('49200'), [49200]);
+        assert.deepStrictEqual(auth.parsePortRange('49200 - 49202'), [49200, 49201, 49202]);
+        assert.deepStrictEqual(auth.parsePortRange('49202-49200'), [0]);
+        assert.deepStrictEqual(auth.parsePortRange('http'), [0]);
+        assert.strictEqual(auth.parsePortRange('1000-9000').length, 100);
+    });
+
+    test('isSignInExpired should enforce the lifetime in days', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const signedInAt = Date.UTC(2025, 0, 1);
+        assert.strictEqual(auth.isSignInExpired(signedInAt, 30, signedInAt + 29 * day), false);
+        assert.strictEqual(auth.isSignInExpired(signedInAt, 30, signedInAt + 30 * day), true);
+        assert.strictEqual(auth.isSignInExpired(signedInAt, 0, signedInAt + 365 * day), false);
+    });
+
+    test('isAdminConsentError should recognise consent the user cannot give', () => {
+        assert.strictEqual(auth.isAdminConsentError({ errorCode: 'invalid_grant', subError: 'admin_consent_required' }), true);
+        assert.strictEqual(auth.isAdminConsentError({ errorCode: 'invalid_grant', subError: 'consent_required' }), false);
+        assert.strictEqual(auth.isAdminConsentError(new Error('AADSTS65001: The user or administrator has not consented to use the application.')), false);
+        assert.strictEqual(auth.isAdminConsentError(new Error('AADSTS90094: The grant requires admin permission.')), true);
+        assert.strictEqual(auth.isAdminConsentError({ errorCode: 'access_denied', errorMessage: 'AADSTS65004: User declined to consent' }), false);
+    });
+
+    test('waitForAuthCode should show the success page and return the bound redirect URI', async () => {
+        const signInRun = await signIn('grant');
+        const { code, redirectUri } = await signInRun.result;
+        assert.strictEqual(code, 'granted-code');
+        assert.strictEqual(redirectUri, signInRun.redirectUri);
+        assert.match(redirectUri, /^http:\/\/localhost:\d+\/auth\/callback$/);
+        const page = await signInRun.page();
+        assert.strictEqual(page.status, 200);
+        assert.ok(page.body.includes('Authentication Successful!'));
+    });
+
+    test('waitForAuthCode should show the denial page with the escaped reason', async () => {
+        const signInRun = await signIn('deny');
+        await assert.rejects(signInRun.result, { errorCode: 'access_denied', message: 'The user <declined> consent' });
+        const page = await signInRun.page();
+        assert.strictEqual(page.status, 400);
+        assert.ok(page.body.includes('Authentication Failed'));
+        assert.ok(page.body.includes('The user &lt;declined&gt; consent'));
+    });
+
+    test('waitForAuthCode should time out and release the port when the browser never returns', async () => {
+        const signInRun = await signIn('abandon', { timeoutMs: 50 });
+        await assert.rejects(signInRun.result, { errorCode: 'timed_out' });
+        await assert.rejects(browse(`${signInRun.redirectUri}?code=late&state=expected-state`), { code: 'ECONNREFUSED' });
+    });
+
+    test('waitForAuthCode should reject responses with another state', async () => {
+        let page;
+        const result = auth.waitForAuthCode(REDIRECT_URI, 'expected-state', {
+            onListening: async (redirectUri) => {
+                page = browse(`${redirectUri}?code=abc&state=forged`);
+            }
+        });
+        await assert.rejects(result, { errorCode: 'state_mismatch' });
+        assert.strictEqual((await page).status, 400);
+    });
+
+    test('waitForAuthCode should skip busy ports', async () => {
+        const busy = http.createServer();
+        await new Promise(resolve => busy.listen(0, 'localhost', resolve));
+        const busyPort = busy.address().port;
+        try {
+            const signInRun = await signIn('grant', { ports: [busyPort, 0] });
+            const { redirectUri } = await signInRun.result;
+            assert.notStrictEqual(new URL(redirectUri).port, String(busyPort));
+        } finally {
+            busy.close();
+        }
+    });
+
+    test('waitForAuthCode should fail when the redirect URI port is busy', async () => {
+        const busy = http.createServer();
+        await new Promise(resolve => busy.listen(0, 'localhost', resolve));
+        try {
+            await assert.rejects(auth.waitForAuthCode(`http://localhost:${busy.address().port}/auth/callback`, 'expected-state', { ports: [0] }),
+                { errorCode: 'server_error' });
+        } finally {
+            busy.close();
+        }
+    });
+
+    test('waitForAuthCode should close the server when opening the browser fails', async () => {
+        let boundRedirectUri;
+        await assert.rejects(auth.waitForAuthCode(REDIRECT_URI, 'expected-state', {
+            onListening: async (redirectUri) => {
+                boundRedirectUri = redirectUri;
+                throw new Error('No browser');
+            }
+        }), /No browser/);
+        await assert.rejects(browse(boundRedirectUri), { code: 'ECONNREFUSED' });
+    });
+
+    test('waitForAuthCode should stop when cancelled', async () => {
+        const token = {
+            onCancellationRequested(listener) {
+                setTimeout(listener, 10);
+                return { dispose() {} };
+            }
+        };
+        await assert.rejects(auth.waitForAuthCode(REDIRECT_URI, 'expected-state', { cancellationToken: token }), { errorCode: 'user_cancelled' });
+    });
+});
@@ -0,0 +1,17 @@
+const assert = require('assert');
+const cloud = require('../../cloud');
+
+suite('Cloud Test Suite', () => {
+    test('getCloud should select the endpoints of a cloud', () => {
+        const gccHigh = cloud.getCloud('gccHigh');
+        assert.strictEqual(gccHigh.loginUrl, 'https://login.microsoftonline.us');
+        assert.strictEqual(gccHigh.teamsUrl, 'https://gov.teams.microsoft.us');
+        assert.strictEqual(cloud.getGraphBaseUrl('dod'), 'https://dod-graph.microsoft.us/v1.0');
+        assert.strictEqual(cloud.getGraphBaseUrl('china'), 'https://microsoftgraph.chinacloudapi.cn/v1.0');
+    });
+
+    test('getCloud should fall back to the global cloud', () => {
+        assert.strictEqual(cloud.getCloud('unknown'), cloud.getCloud('global'));
+        assert.strictEqual(cloud.getGraphBaseUrl('global'), 'https://graph.microsoft.com/v1.0');
+    });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const sinon = require('sinon');
+const composer = require('../../composer');
+const formatting = require('../../formatting');
+
+/**
+ * Minimal stand-in for the shareToTeams configuration
+ * @param {Object} values - Setting values
+ * @returns {{ get: Function }}
+ */
+function createConfig(values = {}) {
+    return { get: (key, fallback) => key in values ? values[key] : fallback };
+}
+
+suite('Composer Test Suite', () => {
+    const snippet = {
+        text: 'const a = 1;\nconst b = 2;',
+        languageId: 'javascript',
+        fileName: 'main.js',
+        startLine: 9,
+        endLine: 10
+    };
+    const people = [
+        { displayName: 'Ada', email: 'ada@contoso.com' },
+        { displayName: 'Ada Lovelace', email: 'lovelace@contoso.com', userId: 'user-2' }
+    ];
+
+    test('findMentions should return the people named in the note', () => {
+        assert.deepStrictEqual(composer.findMentions('Thoughts, @Ada Lovelace?', people), [people[1]]);
+        assert.deepStrictEqual(composer.findMentions('@Ada and @Ada Lovelace', people),
+            [people[1], { displayName: 'Ada', email: 'ada@contoso.com', userId: undefined }]);
+        assert.deepStrictEqual(composer.findMentions('No mentions here', people), []);
+    });
+
+    test('formatNoteHtml should turn resolved mentions into at tags', () => {
+        const note = formatting.formatNoteHtml('@Ada Lovelace <look>\nhere', people);
+        assert.strictEqual(note.html, '<p><at id="0">Ada Lovelace</at> &lt;look&gt;<br>here</p>');
+        assert.deepStrictEqual(note.mentions, [{
+            id: 0,
+            mentionText: 'Ada Lovelace',
+            mentioned: { user: { id: 'user-2', displayName: 'Ada Lovelace', userIdentityType: 'aadUser' } }
+        }]);
+    });
+
+    test('addLineNumbers should pad numbers to the widest line', () => {
+        assert.strictEqual(formatting.addLineNumbers('a\nb', 9), ' 9  a\n10  b');
+    });
+
+    test('buildShareMessage should apply the composer note and display options', () => {
+        const composed = {
+            ...snippet,
+            note: 'Why is this slow?',
+            display: { includeFileName: false, includeLineNumbers: true, includeLanguage: false }
+        };
+        const message = formatting.buildShareMessage(composed, createConfig());
+        assert.strictEqual(message.text, 'Why is this slow?\n\n```\n 9  const a = 1;\n10  const b = 2;\n```');
+        assert.strictEqual(message.content, '<p>Why is this slow?</p><pre><code> 9  const a = 1;\n10  const b = 2;</code></pre>');
+        assert.strictEqual(message.options.mentions, undefined);
+    });
+
+    test('buildShareMessage should show the file name when there is no repository link', () => {
+        const message = formatting.buildShareMessage(snippet, createConfig());
+        assert.ok(message.content.startsWith('<p><b>main.js (Lines 9–10)</b></p><pre><code class="language-javascript">'));
+    });
+
+    test('renderPreviewHtml should draw Adaptive Cards in place of attachment tags', () => {
+        const message = formatting.buildShareMessage({ ...snippet, note: 'See' }, createConfig({ messageFormat: 'adaptiveCard' }));
+        const html = composer.renderPreviewHtml(message);
+        assert.ok(html.startsWith('<p>See</p><div class="card">'));
+        assert.ok(html.includes('<div class="bold">main.js</div>'));
+        assert.ok(!html.includes('<attachment'));
+    });
+
+    test('openComposer should refill the page with the current note when it reloads', async () => {
+        const handlers = {};
+        const posted = [];
+        const panel = {
+            webview: {
+                cspSource: 'vscode-resource:',
+                postMessage: async (message) => { posted.push(message); },
+                onDidReceiveMessage: (handler) => { handlers.message = handler; }
+            },
+            onDidDispose: (handler) => { handlers.dispose = handler; },
+            dispose: () => handlers.dispose()
+        };
+        sinon.stub(vscode.workspace, 'getConfiguration').returns(createConfig());
+        sinon.stub(vscode.window, 'createWebviewPanel').returns(panel);
+        try {
+            const result = composer.openComposer(snippet, 'Ada', people);
+            handlers.message({ type: 'update', note: 'Look here', display: { includeLineNumbers: true } });
+            // Hiding and showing the tab loads the initial HTML again, which asks for the state
+            handlers.message({ type: 'ready' });
+            const restore = posted.find(message => message.type === 'restore');
+            assert.strictEqual(restore.note, 'Look here');
+            assert.strictEqual(restore.display.includeLineNumbers, true);
+
+            handlers.message({ type: 'send' });
+            assert.strictEqual((await result).note, 'Look here');
+        } finally {
+            sinon.restore();
+        }
+    });
+});
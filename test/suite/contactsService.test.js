@@ -0,0 +1,38 @@
+const assert = require('assert');
+const contactsService = require('../../contactsService');
+const { useFakeGraph } = require('./fakeGraph');
+
+suite('Contacts Service Test Suite', () => {
+    const useServer = useFakeGraph();
+    let requests;
+
+    setup(async () => {
+        requests = await useServer(req => {
+            const people = [
+                { id: 'p1', displayName: 'Ann Lee', scoredEmailAddresses: [{ address: 'ann@contoso.com' }] },
+                { id: 'p2', displayName: 'No Mail', scoredEmailAddresses: [] }
+            ];
+            const users = [
+                { id: 'u1', displayName: 'Ann Lee', mail: 'Ann@contoso.com', userPrincipalName: 'ann@contoso.com' },
+                { id: 'u2', displayName: 'Anna Berg', mail: null, userPrincipalName: 'anna@contoso.com', jobTitle: 'Engineer' }
+            ];
+            return { body: { value: req.url.startsWith('/v1.0/me/people') ? people : users } };
+        });
+    });
+
+    test('searchRecipients should search people and users with eventual consistency', async () => {
+        const results = await contactsService.searchRecipients('token', ' ann"e ');
+        assert.deepStrictEqual(results.map(r => r.email), ['ann@contoso.com', 'anna@contoso.com']);
+        assert.strictEqual(results[1].jobTitle, 'Engineer');
+
+        const urls = requests.map(r => decodeURIComponent(r.url)).sort();
+        assert.ok(urls[0].startsWith('/v1.0/me/people?$search="ann e"'));
+        assert.ok(urls[1].startsWith('/v1.0/users?$search="displayName:ann e" OR "mail:ann e"'));
+        assert.ok(requests.every(r => r.headers.consistencylevel === 'eventual'));
+    });
+
+    test('searchRecipients should not call Graph for an empty query', async () => {
+        assert.deepStrictEqual(await contactsService.searchRecipients('token', ' "" '), []);
+        assert.strictEqual(requests.length, 0);
+    });
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const sinon = require('sinon');
+const delivery = require('../../delivery');
+const formatting = require('../../formatting');
+
+suite('Delivery Test Suite', () => {
+    test('splitText should split on line boundaries within the budget', () => {
+        const parts = delivery.splitText('aaaa\nbbbb\ncccc\ndddd', 10);
+        assert.deepStrictEqual(parts, [
+            { text: 'aaaa\nbbbb', lineOffset: 0, lineCount: 2 },
+            { text: 'cccc\ndddd', lineOffset: 2, lineCount: 2 }
+        ]);
+    });
+
+    test('splitText should cut lines longer than the budget', () => {
+        const parts = delivery.splitText('ab\n' + 'x'.repeat(12) + '\ncd', 5);
+        assert.deepStrictEqual(parts.map(p => p.text), ['ab', 'xxxxx', 'xxxxx', 'xx', 'cd']);
+        assert.deepStrictEqual(parts.map(p => p.lineOffset), [0, 1, 1, 1, 2]);
+    });
+
+    test('trimText should keep leading lines and count the rest', () => {
+        assert.deepStrictEqual(delivery.trimText('one\ntwo\nthree\nfour', 8), { text: 'one\ntwo', lineCount: 2, omittedLines: 2 });
+    });
+
+    test('measureMessage should count attachments', () => {
+        const small = delivery.measureMessage('<p>x</p>');
+        const withCard = delivery.measureMessage('<p>x</p>', { attachments: [{ content: 'y'.repeat(100) }] });
+        assert.ok(withCard > small + 100);
+    });
+
+    test('splitSnippet should keep every highlighted part under the message limit', () => {
+        const lines = [];
+        for (let i = 0; i < 1500; i++) {
+            lines.push(`const value${i} = compute(${i}, "text ${i}", [1, 2, 3]) + other.call(value${i}); // note ${i}`);
+        }
+        const snippet = { text: lines.join('\n'), languageId: 'javascript', fileName: 'big.js', startLine: 10, endLine: 1509 };
+        const settings = { messageFormat: 'highlightedHtml', highlightTheme: 'light', includeLineNumbers: true };
+        const config = { get: (key, defaultValue) => key in settings ? settings[key] : defaultValue };
+        const buildMessage = (part) => formatting.buildShareMessage(part, config);
+
+        const parts = delivery.splitSnippet(snippet, buildMessage);
+        assert.ok(parts.length > 1);
+        parts.forEach(part => {
+            const message = buildMessage(part);
+            const content = `<p><b>Part ${parts.length}/${parts.length}</b></p>${message.content}`;
+            assert.ok(delivery.measureMessage(content, message.options) <= delivery.MAX_MESSAGE_BYTES);
+        });
+        assert.strictEqual(parts.map(p => p.text).join('\n'), snippet.text);
+        assert.strictEqual(parts[1].startLine, parts[0].endLine + 1);
+        assert.strictEqual(parts[parts.length - 1].endLine, 1509);
+    });
+
+    test('deliverMessage should report the parts sent when a later part fails', async () => {
+        sinon.stub(vscode.workspace, 'getConfiguration').returns({ get: (key, defaultValue) => key === 'largeSnippetMode' ? 'split' : defaultValue });
+        sinon.stub(vscode.window, 'showInformationMessage');
+        try {
+            const snippet = { text: 'x'.repeat(80).concat('\n').repeat(1000), languageId: 'plaintext', fileName: 'big.txt' };
+            const message = formatting.buildShareMessage(snippet, vscode.workspace.getConfiguration('shareToTeams'));
+            const post = sinon.stub();
+            post.onFirstCall().resolves({ id: '1', webUrl: 'https://teams.example/1' });
+            post.onSecondCall().rejects(new Error('Service unavailable'));
+
+            const error = await delivery.deliverMessage(snippet, message, post).catch(e => e);
+            assert.strictEqual(delivery.isPartialDelivery(error), true);
+            assert.strictEqual(error.partsSent, 1);
+            assert.strictEqual(error.webUrl, 'https://teams.example/1');
+            assert.match(error.message, /^Sent parts 1-1 of \d+; part 2 failed: Service unavailable$/);
+            assert.strictEqual(post.callCount, 2);
+
+            post.reset();
+            post.rejects(new Error('Forbidden'));
+            const firstError = await delivery.deliverMessage(snippet, message, post).catch(e => e);
+            assert.strictEqual(firstError.message, 'Forbidden');
+            assert.strictEqual(delivery.isPartialDelivery(firstError), false);
+        } finally {
+            sinon.restore();
+        }
+    });
+
+    test('deliverMessage should trim highlighted snippets until the formatted message fits', async () => {
+        const lines = [];
+        for (let i = 0; i < 1500; i++) {
+            lines.push(`const value${i} = compute(${i}, "text ${i}", [1, 2, 3]) + other.call(value${i}); // note ${i}`);
+        }
+        const settings = { largeSnippetMode: 'trim', messageFormat: 'highlightedHtml', highlightTheme: 'light', includeLineNumbers: true };
+        sinon.stub(vscode.workspace, 'getConfiguration').returns({ get: (key, defaultValue) => key in settings ? settings[key] : defaultValue });
+        sinon.stub(vscode.window, 'showInformationMessage');
+        try {
+            const snippet = {
+                text: lines.join('\n'),
+                languageId: 'javascript',
+                fileName: 'big.js',
+                startLine: 1,
+                endLine: 1500,
+                repositoryFileUrl: 'https://github.com/org/repo/blob/abc/big.js'
+            };
+            const message = formatting.buildShareMessage(snippet, vscode.workspace.getConfiguration('shareToTeams'));
+            const post = sinon.stub().resolves({ id: '1' });
+
+            await delivery.deliverMessage(snippet, message, post);
+            assert.ok(post.calledOnce);
+            const [content, options] = post.firstCall.args;
+            assert.ok(delivery.measureMessage(content, options) <= delivery.MAX_MESSAGE_BYTES);
+            assert.match(content, /… \d+ more line\(s\)\. <a href="https:\/\/github\.com\/org\/repo\/blob\/abc\/big\.js">Open the full file<\/a><\/p>$/);
+        } finally {
+            sinon.restore();
+        }
+    });
+
+    test('createUploadFileName should include the line range', () => {
+        assert.strictEqual(delivery.createUploadFileName({ fileName: 'main.js', startLine: 10, endLine: 200 }), 'main-L10-200.js');
+        assert.strictEqual(delivery.createUploadFileName({ fileName: 'Makefile' }), 'Makefile.txt');
+    });
+});
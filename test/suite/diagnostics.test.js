@@ -0,0 +1,50 @@
+const assert = require('assert');
+const diagnostics = require('../../diagnostics');
+const formatting = require('../../formatting');
+
+suite('Diagnostics Test Suite', () => {
+    const diagnostic = {
+        message: '\'total\' is assigned a value but never used.',
+        source: 'eslint',
+        code: { value: 'no-unused-vars', target: 'https://eslint.org/docs/rules/no-unused-vars' },
+        severity: 1,
+        range: { start: { line: 11, character: 10 }, end: { line: 12, character: 2 } }
+    };
+
+    test('describeDiagnostic should flatten the code and name the severity', () => {
+        assert.deepStrictEqual(diagnostics.describeDiagnostic(diagnostic), {
+            message: '\'total\' is assigned a value but never used.',
+            source: 'eslint',
+            code: 'no-unused-vars',
+            severity: 'Warning',
+            line: 12
+        });
+        assert.strictEqual(diagnostics.describeDiagnostic({ ...diagnostic, source: undefined, code: 2304 }).code, '2304');
+    });
+
+    test('getDiagnosticLines should list every line the diagnostic covers', () => {
+        assert.deepStrictEqual(diagnostics.getDiagnosticLines(diagnostic), [12, 13]);
+    });
+
+    test('buildShareMessage should describe the diagnostic and mark its lines', () => {
+        const snippet = {
+            text: 'let a;\nlet total = 0;\n}',
+            languageId: 'javascript',
+            startLine: 11,
+            endLine: 13,
+            diagnostic: diagnostics.describeDiagnostic(diagnostic),
+            markedLines: [12]
+        };
+        const message = formatting.buildShareMessage(snippet, { get: (key, fallback) => fallback });
+        assert.strictEqual(message.text,
+            '**Warning** eslint(no-unused-vars) on line 12: \'total\' is assigned a value but never used.\n\n' +
+            '```javascript\n  let a;\n→ let total = 0;\n  }\n```');
+        assert.ok(message.content.startsWith(
+            '<p><b>Warning</b> eslint(no-unused-vars) on line 12: &#39;total&#39; is assigned a value but never used.</p>'));
+    });
+
+    test('formatDiagnosticHtml should leave out a missing source and code', () => {
+        const html = formatting.formatDiagnosticHtml({ message: 'Missing ;', source: null, code: null, severity: 'Error', line: 3 });
+        assert.strictEqual(html, '<b>Error</b> on line 3: Missing ;');
+    });
+});
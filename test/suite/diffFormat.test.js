@@ -0,0 +1,97 @@
+const assert = require('assert');
+const diffFormat = require('../../diffFormat');
+const formatting = require('../../formatting');
+
+const DIFF = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 3b18e51..a1c2f3d 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,4 +1,4 @@',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '+const c = 4;',
+    ' module.exports = a;',
+    '-// done',
+    '@@ -20,2 +20,3 @@ function run() {',
+    '     start();',
+    '+    stop();',
+    ' }',
+    '\\ No newline at end of file',
+    ''
+].join('\n');
+
+suite('Diff Format Test Suite', () => {
+    test('parseDiff should read files, hunks and line numbers', () => {
+        const files = diffFormat.parseDiff(DIFF);
+        assert.strictEqual(files.length, 1);
+        assert.strictEqual(files[0].newPath, 'src/app.js');
+        assert.strictEqual(files[0].hunks.length, 2);
+        const [first, second] = files[0].hunks;
+        assert.deepStrictEqual(first.lines.map(l => [l.type, l.oldLine, l.newLine]), [
+            ['context', 1, 1], ['delete', 2, null], ['add', null, 2], ['add', null, 3], ['context', 3, 4], ['delete', 4, null]
+        ]);
+        assert.strictEqual(second.newStart, 20);
+        assert.strictEqual(second.lines.length, 3);
+    });
+
+    test('parseDiff should handle new files without a git header', () => {
+        const [file] = diffFormat.parseDiff('--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1 @@\n+hello');
+        assert.strictEqual(file.oldPath, null);
+        assert.strictEqual(diffFormat.getFilePath(file), 'new.txt');
+        assert.deepStrictEqual(file.hunks[0].lines, [{ type: 'add', text: 'hello', oldLine: null, newLine: 1 }]);
+    });
+
+    test('findHunkAtLine and createHunkPatch should extract the hunk under a line', () => {
+        const [file] = diffFormat.parseDiff(DIFF);
+        const hunk = diffFormat.findHunkAtLine(file, 21);
+        assert.strictEqual(hunk, file.hunks[1]);
+        assert.strictEqual(diffFormat.findHunkAtLine(file, 10), undefined);
+        assert.strictEqual(diffFormat.createHunkPatch(file, hunk),
+            '--- a/src/app.js\n+++ b/src/app.js\n@@ -20,2 +20,3 @@ function run() {\n     start();\n+    stop();\n }');
+    });
+
+    test('mapNewLineToOld should follow the lines that hunks add and remove', () => {
+        const [file] = diffFormat.parseDiff(DIFF);
+        assert.strictEqual(diffFormat.mapNewLineToOld(file, 1), 1);
+        assert.strictEqual(diffFormat.mapNewLineToOld(file, 2), null);
+        assert.strictEqual(diffFormat.mapNewLineToOld(file, 4), 3);
+        assert.strictEqual(diffFormat.mapNewLineToOld(file, 10), 10);
+        assert.strictEqual(diffFormat.mapNewLineToOld(file, 21), null);
+        assert.strictEqual(diffFormat.mapNewLineToOld(file, 30), 29);
+
+        const [deletion] = diffFormat.parseDiff('--- a/x\n+++ b/x\n@@ -5,2 +4,0 @@\n-five\n-six');
+        assert.strictEqual(diffFormat.mapNewLineToOld(deletion, 4), 4);
+        assert.strictEqual(diffFormat.mapNewLineToOld(deletion, 5), 7);
+        const [addition] = diffFormat.parseDiff('--- a/x\n+++ b/x\n@@ -4,0 +5,2 @@\n+five\n+six');
+        assert.strictEqual(diffFormat.mapNewLineToOld(addition, 4), 4);
+        assert.strictEqual(diffFormat.mapNewLineToOld(addition, 6), null);
+        assert.strictEqual(diffFormat.mapNewLineToOld(addition, 7), 5);
+    });
+
+    test('toSideBySideRows should pair deletions with the following additions', () => {
+        const [file] = diffFormat.parseDiff(DIFF);
+        const rows = diffFormat.toSideBySideRows(file.hunks[0]).map(({ left, right }) => [left && left.text, right && right.text]);
+        assert.deepStrictEqual(rows, [
+            ['const a = 1;', 'const a = 1;'],
+            ['const b = 2;', 'const b = 3;'],
+            [null, 'const c = 4;'],
+            ['module.exports = a;', 'module.exports = a;'],
+            ['// done', null]
+        ]);
+    });
+
+    test('buildShareMessage should head a diff with the file, branch and SHAs', () => {
+        const snippet = { text: DIFF, languageId: 'diff', fileName: 'app.js.diff', diff: { branch: 'main', fromRef: '3b18e51', toRef: 'working tree' } };
+        const config = (values) => ({ get: (key, fallback) => key in values ? values[key] : fallback });
+
+        const sideBySide = formatting.buildShareMessage(snippet, config({}));
+        assert.ok(sideBySide.text.startsWith('**src/app.js** (branch main, 3b18e51 → working tree)\n\n```diff\n'));
+        assert.ok(sideBySide.content.startsWith('<p><b>src/app.js</b> · branch main · 3b18e51 → working tree</p><table'));
+        assert.ok(sideBySide.content.includes('const b = 3;'));
+
+        const unified = formatting.buildShareMessage(snippet, config({ diffFormat: 'unified' }));
+        assert.ok(unified.content.includes('<pre><code class="language-diff">diff --git'));
+    });
+});
@@ -0,0 +1,211 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const sinon = require('sinon');
+const extension = require('../../extension');
+const auth = require('../../authentication');
+const teamsService = require('../../teamsservice');
+const adaptiveCard = require('../../adaptiveCard');
+const contactsService = require('../../contactsService');
+const graph = require('../../graphClient');
+
+suite('Extension Test Suite', () => {
+    vscode.window.showInformationMessage('Starting tests...');
+
+    test('Extension should be present', () => {
+        assert.ok(vscode.extensions.getExtension('Harishri.CodeToTeams'));
+    });
+
+    test('Should register commands', async () => {
+        const commands = await vscode.commands.getCommands();
+        assert.ok(commands.includes('extension.shareToTeams'));
+    });
+
+    test('formatCodeSnippet should add language and code block markers', () => {
+        const mockText = 'const test = "hello";';
+        const formattedText = extension.formatCodeSnippet(mockText, 'javascript');
+        assert.strictEqual(formattedText, '```javascript\nconst test = "hello";\n```');
+    });
+
+    test('formatCodeSnippet should work without language', () => {
+        const mockText = 'const test = "hello";';
+        const formattedText = extension.formatCodeSnippet(mockText, null);
+        assert.strictEqual(formattedText, '```\nconst test = "hello";\n```');
+    });
+
+    test('formatCodeSnippetHtml should escape code inside a pre/code block', () => {
+        const mockText = 'if (a < b && c > "d") {}';
+        const html = extension.formatCodeSnippetHtml(mockText, 'javascript');
+        assert.strictEqual(html, '<pre><code class="language-javascript">if (a &lt; b &amp;&amp; c &gt; &quot;d&quot;) {}</code></pre>');
+    });
+
+    test('formatCodeSnippetHtml should work without language', () => {
+        const html = extension.formatCodeSnippetHtml('x', null);
+        assert.strictEqual(html, '<pre><code>x</code></pre>');
+    });
+
+    test('Should handle authentication flow', async () => {
+        const getAccessTokenStub = sinon.stub(auth, 'getAccessToken').resolves('mock-token');
+        
+        const token = await auth.getAccessToken();
+        
+        assert.strictEqual(token, 'mock-token');
+        getAccessTokenStub.restore();
+    });
+
+    test('Should handle Teams service', async () => {
+        const accessToken = 'mock-token';
+        const mockChats = [
+            { id: 'chat1', topic: 'Team Chat', members: [{ displayName: 'User 1' }] },
+            { id: 'chat2', members: [{ displayName: 'User 2' }] }
+        ];
+        
+        const getChatsStub = sinon.stub(teamsService, 'getChats').resolves(mockChats);
+        
+        const chats = await teamsService.getChats(accessToken);
+        
+        assert.deepStrictEqual(chats, mockChats);
+        assert.strictEqual(chats.length, 2);
+        getChatsStub.restore();
+    });
+
+    test('showRecipientSelector should show directory matches the typed text does not match locally', async () => {
+        const clock = sinon.useFakeTimers();
+        const handlers = {};
+        const on = (name) => (handler) => { handlers[name] = handler; };
+        const quickPick = {
+            items: [],
+            selectedItems: [],
+            onDidChangeValue: on('value'),
+            onDidChangeSelection: on('selection'),
+            onDidAccept: on('accept'),
+            onDidHide: on('hide'),
+            onDidTriggerButton: on('button'),
+            show: () => {},
+            hide: () => handlers.hide(),
+            dispose: () => {}
+        };
+        const createQuickPickStub = sinon.stub(vscode.window, 'createQuickPick').returns(quickPick);
+        // The directory matched the alias, which isn't part of the name or email shown
+        const searchStub = sinon.stub(contactsService, 'searchRecipients')
+            .resolves([{ displayName: 'Zoe Park', email: 'zoe.park@contoso.com' }]);
+        try {
+            const selection = extension.showRecipientSelector([{ displayName: 'Ada', email: 'ada@contoso.com' }], [], 'mock-token');
+            handlers.value('zpark');
+            await clock.tickAsync(300);
+
+            assert.ok(searchStub.calledOnceWith('mock-token', 'zpark'));
+            const directoryItem = quickPick.items.find(item => item.recipient && item.recipient.email === 'zoe.park@contoso.com');
+            assert.ok(directoryItem);
+            assert.strictEqual(directoryItem.alwaysShow, true);
+            assert.ok(!quickPick.items.find(item => item.label === 'Ada').alwaysShow);
+
+            quickPick.hide();
+            assert.deepStrictEqual(await selection, []);
+        } finally {
+            searchStub.restore();
+            createQuickPickStub.restore();
+            clock.restore();
+        }
+    });
+
+    test('getChats should expand the last message preview it orders by', async () => {
+        const getAllStub = sinon.stub(graph, 'getAll').resolves([
+            { id: 'old', lastMessagePreview: { createdDateTime: '2025-01-01T00:00:00Z' } },
+            { id: 'new', lastMessagePreview: { createdDateTime: '2025-03-01T00:00:00Z' } }
+        ]);
+        try {
+            const chats = await teamsService.getChats('mock-token');
+            const { query } = getAllStub.firstCall.args[2];
+            assert.ok(query.$expand.split(',').includes('lastMessagePreview'));
+            assert.ok(query.$expand.split(',').includes('members'));
+            assert.deepStrictEqual(chats.map(chat => chat.id), ['new', 'old']);
+        } finally {
+            getAllStub.restore();
+        }
+    });
+
+    test('getChatDisplayName should prefer topic, then other members', () => {
+        const members = [
+            { userId: 'me', displayName: 'Me' },
+            { userId: 'u1', displayName: 'User 1' },
+            { userId: 'u2', displayName: 'User 2' }
+        ];
+        assert.strictEqual(teamsService.getChatDisplayName({ topic: 'Backend on-call', members }, 'me'), 'Backend on-call');
+        assert.strictEqual(teamsService.getChatDisplayName({ members }, 'me'), 'User 1, User 2');
+    });
+
+    test('getChatLastActivity should use the last message preview when present', () => {
+        const chat = {
+            lastUpdatedDateTime: '2024-01-01T00:00:00Z',
+            lastMessagePreview: { createdDateTime: '2024-02-01T00:00:00Z' }
+        };
+        assert.strictEqual(teamsService.getChatLastActivity(chat), Date.parse('2024-02-01T00:00:00Z'));
+        assert.strictEqual(teamsService.getChatLastActivity({}), 0);
+    });
+
+    test('getMessagePreview should strip HTML and truncate', () => {
+        const message = { body: { content: '<p>Deploy&nbsp;<b>failed</b> on staging</p>' } };
+        assert.strictEqual(teamsService.getMessagePreview(message), 'Deploy failed on staging');
+        assert.strictEqual(teamsService.getMessagePreview(message, 10), 'Deploy fa…');
+        assert.strictEqual(teamsService.getMessagePreview({ subject: 'Release notes', body: { content: '' } }), 'Release notes');
+    });
+
+    test('createFileAttachment should use the GUID from the driveItem eTag', () => {
+        const { content, attachments } = teamsService.createFileAttachment({
+            id: 'item-id',
+            eTag: '"{5A1B2C3D-1111-2222-3333-444455556666},1"',
+            webUrl: 'https://contoso-my.sharepoint.com/personal/me/main-L1-900.js',
+            name: 'main-L1-900.js'
+        });
+        assert.strictEqual(attachments[0].id, '5A1B2C3D-1111-2222-3333-444455556666');
+        assert.strictEqual(attachments[0].contentType, 'reference');
+        assert.strictEqual(content, '<attachment id="5A1B2C3D-1111-2222-3333-444455556666"></attachment>');
+    });
+
+    test('buildCodeCard should include header fields and actions', () => {
+        const card = adaptiveCard.buildCodeCard({
+            text: 'def f():\n    return 1',
+            languageId: 'python',
+            fileName: 'util.py',
+            filePath: '/src/util.py',
+            startLine: 3,
+            endLine: 4,
+            repositoryUrl: 'https://github.com/org/repo/blob/abc/util.py#L3-L4'
+        });
+        assert.strictEqual(card.type, 'AdaptiveCard');
+        assert.strictEqual(card.body[0].text, 'util.py');
+        assert.strictEqual(card.body[1].text, 'Lines 3–4 · python');
+        assert.strictEqual(card.body[2].items[0].type, 'CodeBlock');
+        assert.strictEqual(card.body[2].items[0].codeSnippet, 'def f():\n    return 1');
+        assert.strictEqual(card.body[2].items[0].language, 'Python');
+        assert.strictEqual(card.body[2].items[0].startLineNumber, 3);
+        assert.strictEqual(card.body[2].items[0].fallback.fontType, 'Monospace');
+        assert.strictEqual(card.body[2].items[0].fallback.text, 'def f():\n\u00a0\u00a0\u00a0\u00a0return 1');
+        assert.deepStrictEqual(card.actions.map(a => a.title), ['Open in repository', 'Open in VS Code']);
+        assert.strictEqual(card.actions[1].url, 'vscode://file/src/util.py:3');
+    });
+
+    test('buildCodeCard should respect includeFileName and includeLanguage', () => {
+        const card = adaptiveCard.buildCodeCard(
+            { text: 'x', languageId: 'python', fileName: 'util.py', startLine: 7, endLine: 7 },
+            { includeFileName: false, includeLanguage: false }
+        );
+        assert.strictEqual(card.body[0].text, 'Line 7');
+        assert.strictEqual(card.actions, undefined);
+    });
+
+    test('buildCodeCard should escape Markdown in the fallback text', () => {
+        const card = adaptiveCard.buildCodeCard({ text: '# total\n- a * b_c\n1. [x](y)', languageId: 'unknown' });
+        const codeBlock = card.body[1].items[0];
+        assert.strictEqual(codeBlock.language, 'PlainText');
+        assert.strictEqual(codeBlock.codeSnippet, '# total\n- a * b_c\n1. [x](y)');
+        assert.strictEqual(codeBlock.fallback.text, '\\# total\n\\- a \\* b\\_c\n1\\. \\[x\\](y)');
+    });
+
+    test('createCardAttachment should reference the attachment from the body', () => {
+        const { content, attachments } = adaptiveCard.createCardAttachment({ type: 'AdaptiveCard' });
+        assert.strictEqual(content, `<attachment id="${attachments[0].id}"></attachment>`);
+        assert.strictEqual(attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+        assert.deepStrictEqual(JSON.parse(attachments[0].content), { type: 'AdaptiveCard' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const http = require('http');
+const graph = require('../../graphClient');
+
+/**
+ * Start a fake Graph server
+ * @param {function(Object, number): (Object|null)} respond - Gets the request (method, url, headers, body) and its 0-based index;
+ *     returns { status, headers, body }, or null to drop the connection
+ * @returns {Promise<{ baseUrl: string, requests: Array<Object>, close: function(): Promise<void> }>} - Server
+ */
+function startGraphServer(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const recorded = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(recorded);
+            const response = respond(recorded, requests.length - 1);
+            if (!response) {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(response.status || 200, { 'Content-Type': 'application/json', ...response.headers });
+            res.end(JSON.stringify(response.body || {}));
+        });
+    });
+    return new Promise(resolve => server.listen(0, 'localhost', () => {
+        const baseUrl = `http://localhost:${server.address().port}/v1.0`;
+        resolve({ baseUrl, requests, close: () => new Promise(done => server.close(done)) });
+    }));
+}
+
+/**
+ * Let the tests of the current suite point the Graph client at a fake Graph server
+ * The server is stopped and the client reset after each test.
+ * @returns {function(function(Object, number): (Object|null)): Promise<Array<Object>>} - Starts a server with the response for each
+ *     request and returns the requests it receives
+ */
+function useFakeGraph() {
+    let server = null;
+
+    teardown(async () => {
+        graph.configure();
+        if (server) {
+            await server.close();
+            server = null;
+        }
+    });
+
+    return async respond => {
+        server = await startGraphServer(respond);
+        graph.configure({ baseUrl: server.baseUrl, retryDelayMs: 1 });
+        return server.requests;
+    };
+}
+
+module.exports = {
+    useFakeGraph
+};
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const path = require('path');
+const gitService = require('../../gitService');
+const diffFormat = require('../../diffFormat');
+
+/**
+ * Create a URI of a file in the fake repository
+ * @param {string} relativePath - Path within the repository
+ * @returns {{ fsPath: string }} - URI
+ */
+function fileUri(relativePath) {
+    return { fsPath: path.join('/repo', relativePath) };
+}
+
+suite('Git Service Test Suite', () => {
+    test('getCommitRangeDiff should diff renamed files between their old and new paths', async () => {
+        const blobDiff = [
+            'diff --git a/1111111 b/2222222',
+            'index 1111111..2222222 100644',
+            '--- a/1111111',
+            '+++ b/2222222',
+            '@@ -1,2 +1,2 @@',
+            ' const a = 1;',
+            '-const b = 2;',
+            '+const b = 3;',
+            ''
+        ].join('\n');
+        const repository = {
+            rootUri: { fsPath: '/repo' },
+            diffBetween: async (fromRef, toRef, filePath) => {
+                if (filePath === undefined) {
+                    return [
+                        { status: 3, originalUri: fileUri('src/old.js'), renameUri: fileUri('src/new.js'), uri: fileUri('src/new.js') },
+                        { status: 5, originalUri: fileUri('readme.md'), uri: fileUri('readme.md') }
+                    ];
+                }
+                assert.strictEqual(filePath, fileUri('readme.md').fsPath);
+                return '--- a/readme.md\n+++ b/readme.md\n@@ -1 +1 @@\n-old\n+new';
+            },
+            getObjectDetails: async (treeish, filePath) => ({
+                object: treeish === 'abc' && filePath === fileUri('src/old.js').fsPath ? '1111111' : '2222222'
+            }),
+            diffBlobs: async () => blobDiff
+        };
+
+        const text = await gitService.getCommitRangeDiff(repository, 'abc', 'def');
+        const [renamed, edited] = diffFormat.parseDiff(text);
+        assert.strictEqual(diffFormat.getFilePath(renamed), 'src/old.js → src/new.js');
+        assert.deepStrictEqual(renamed.hunks[0].lines.map(l => l.type), ['context', 'delete', 'add']);
+        assert.strictEqual(diffFormat.getFilePath(edited), 'readme.md');
+        assert.ok(!text.includes('1111111'));
+    });
+
+    test('getCommitRangeDiff should list renames without changes by their headers', async () => {
+        const repository = {
+            rootUri: { fsPath: '/repo' },
+            diffBetween: async () => [{ status: 3, originalUri: fileUri('a.txt'), renameUri: fileUri('b.txt'), uri: fileUri('b.txt') }],
+            getObjectDetails: async () => ({ object: '3333333' }),
+            diffBlobs: async () => assert.fail('Identical blobs need no diff')
+        };
+        assert.strictEqual(await gitService.getCommitRangeDiff(repository, 'abc', 'def'),
+            'diff --git a/a.txt b/b.txt\nrename from a.txt\nrename to b.txt');
+    });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const graph = require('../../graphClient');
+const { useFakeGraph } = require('./fakeGraph');
+
+suite('Graph Client Test Suite', () => {
+    const useServer = useFakeGraph();
+
+    test('buildUrl should encode query values without "+" for spaces', () => {
+        assert.strictEqual(graph.getBaseUrl(), 'https://graph.microsoft.com/v1.0');
+        assert.strictEqual(graph.buildUrl('/me/chats', { $filter: "chatType eq 'group'", $top: 50 }),
+            "https://graph.microsoft.com/v1.0/me/chats?$filter=chatType%20eq%20'group'&$top=50");
+        assert.strictEqual(graph.buildUrl('https://example.com/next?$skiptoken=a', { $top: 5 }), 'https://example.com/next?$skiptoken=a&$top=5');
+    });
+
+    test('parseRetryAfter should read seconds and dates', () => {
+        assert.strictEqual(graph.parseRetryAfter('2'), 2000);
+        assert.strictEqual(graph.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+        assert.strictEqual(graph.parseRetryAfter(undefined), undefined);
+        assert.strictEqual(graph.parseRetryAfter('soon'), undefined);
+    });
+
+    test('getAll should follow nextLink up to the limit', async () => {
+        const requests = await useServer((req, index) => ({
+            body: {
+                value: [{ id: `${index}a` }, { id: `${index}b` }],
+                '@odata.nextLink': `${graph.getBaseUrl()}/users?$skiptoken=${index + 1}`
+            }
+        }));
+        const users = await graph.getAll('token', '/users', { query: { $top: 2 }, maxItems: 3 });
+        assert.deepStrictEqual(users.map(u => u.id), ['0a', '0b', '1a']);
+        assert.deepStrictEqual(requests.map(r => r.url), ['/v1.0/users?$top=2', '/v1.0/users?$skiptoken=1']);
+        assert.ok(requests.every(r => r.headers.authorization === 'Bearer token'));
+    });
+
+    test('request should wait for Retry-After when throttled', async () => {
+        const requests = await useServer((req, index) => index === 0
+            ? { status: 429, headers: { 'Retry-After': '0' }, body: { error: { code: 'TooManyRequests', message: 'Slow down' } } }
+            : { status: 201, body: { id: 'message' } });
+        const message = await graph.post('token', '/chats/1/messages', { body: { content: 'hi' } });
+        assert.strictEqual(message.id, 'message');
+        assert.strictEqual(requests.length, 2);
+        assert.deepStrictEqual(JSON.parse(requests[1].body), { body: { content: 'hi' } });
+    });
+
+    test('request should back off on 503 and give up after the retries', async () => {
+        const requests = await useServer(() => ({ status: 503, body: { error: { code: 'ServiceUnavailable', message: 'Busy' } } }));
+        await assert.rejects(graph.get('token', '/me'), { type: 'server', statusCode: 503, code: 'ServiceUnavailable', message: 'Busy' });
+        assert.strictEqual(requests.length, 4);
+    });
+
+    test('request should not repeat a POST that timed out at the gateway', async () => {
+        const requests = await useServer(() => ({ status: 504, body: { error: { code: 'GatewayTimeout', message: 'Gateway timeout' } } }));
+        await assert.rejects(graph.post('token', '/chats/1/messages', { body: { content: 'hi' } }), { type: 'server', statusCode: 504 });
+        assert.strictEqual(requests.length, 1);
+
+        await assert.rejects(graph.get('token', '/me'), { statusCode: 504 });
+        assert.strictEqual(requests.length, 5);
+    });
+
+    test('request should fail as throttled when Retry-After is too long', async () => {
+        const requests = await useServer(() => ({ status: 429, headers: { 'Retry-After': '3600' } }));
+        const error = await graph.get('token', '/me').catch(e => e);
+        assert.strictEqual(error.type, 'throttled');
+        assert.strictEqual(error.retryAfter, 3600 * 1000);
+        assert.match(error.message, /Try again in 3600 seconds/);
+        assert.strictEqual(requests.length, 1);
+    });
+
+    test('request should map access errors without retrying', async () => {
+        const requests = await useServer(() => ({ status: 403, body: { error: { code: 'Forbidden', message: 'Missing scope' } } }));
+        const error = await graph.get('token', '/me/joinedTeams').catch(e => e);
+        assert.strictEqual(error.type, 'forbidden');
+        assert.strictEqual(error.message, 'Missing scope');
+        assert.strictEqual(graph.isAccessDenied(error), true);
+        assert.strictEqual(requests.length, 1);
+    });
+
+    test('request should retry dropped reads but not dropped sends', async () => {
+        const requests = await useServer((req, index) => index === 0 || req.method === 'POST' ? null : { body: { id: 'me' } });
+        assert.strictEqual((await graph.get('token', '/me')).id, 'me');
+        assert.strictEqual(requests.length, 2);
+
+        await assert.rejects(graph.post('token', '/chats', {}), { type: 'network', statusCode: 0 });
+        assert.strictEqual(requests.length, 3);
+    });
+});
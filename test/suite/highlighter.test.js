@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const highlighter = require('../../highlighter');
+
+// Expected output lives next to the modules; run with UPDATE_GOLDEN=1 to rewrite it after intended changes
+const GOLDEN_DIR = path.resolve(__dirname, '../../test-golden/highlighter');
+
+const SAMPLES = {
+    javascript: [
+        '// Fetch a user',
+        'async function getUser(id) {',
+        '    const response = await fetch(`/users/${id}`);',
+        '    return response.ok ? response.json() : null;',
+        '}'
+    ].join('\n'),
+    typescript: [
+        'interface Point { x: number; y: number }',
+        'export class Shape<T extends Point> {',
+        '    constructor(private readonly points: T[] = []) {}',
+        '}'
+    ].join('\n'),
+    python: [
+        '@dataclass',
+        'class Order:',
+        '    """An order with <items>."""',
+        '    total: float = 0.0',
+        '',
+        '    def add(self, price):',
+        '        self.total += price  # running total',
+        '        return True'
+    ].join('\n'),
+    json: '{\n    "name": "demo",\n    "private": true,\n    "version": 2\n}',
+    csharp: [
+        'public static int Count(IEnumerable<string> items)',
+        '{',
+        '    /* ignore empty',
+        '       values */',
+        '    return items.Count(s => !string.IsNullOrEmpty(s));',
+        '}'
+    ].join('\n'),
+    shellscript: 'for f in *.log; do\n    echo "$f" | grep -c error\ndone',
+    plaintext: 'Not code: <b>bold</b> & "quotes"'
+};
+
+/**
+ * Compare output with its golden file, or write the file when UPDATE_GOLDEN is set
+ * @param {string} name - Golden file name
+ * @param {string} actual - Rendered HTML
+ */
+function assertGolden(name, actual) {
+    const file = path.join(GOLDEN_DIR, name);
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, actual + '\n');
+    }
+    assert.strictEqual(actual + '\n', fs.readFileSync(file, 'utf8'));
+}
+
+suite('Highlighter Test Suite', () => {
+    Object.keys(SAMPLES).forEach(languageId => {
+        test(`highlightHtml should match the golden file for ${languageId}`, () => {
+            assertGolden(`${languageId}.light.html`, highlighter.highlightHtml(SAMPLES[languageId], languageId, highlighter.BUILT_IN_PALETTES.light));
+        });
+    });
+
+    test('highlightHtml should match the golden file with the dark palette and line numbers', () => {
+        const html = highlighter.highlightHtml(SAMPLES.csharp, 'csharp', highlighter.BUILT_IN_PALETTES.dark, { firstLine: 98 });
+        assertGolden('csharp.dark.numbered.html', html);
+    });
+
+    test('highlightHtml should color each line of a multi-line token', () => {
+        const html = highlighter.highlightHtml('/* a\nb */', 'javascript', highlighter.BUILT_IN_PALETTES.light);
+        assert.ok(html.includes('<span style="color:#008000">/* a</span>\n<span style="color:#008000">b */</span>'));
+    });
+
+    test('highlightHtml should give marked lines a background', () => {
+        const html = highlighter.highlightHtml('a\nb', null, highlighter.BUILT_IN_PALETTES.dark, { markedLines: [1] });
+        assert.ok(html.endsWith('<code>a\n<span style="background-color:#5a1d1d">b</span></code></pre>'));
+    });
+
+    test('getHighlightLanguage should map VS Code language IDs', () => {
+        assert.strictEqual(highlighter.getHighlightLanguage('typescriptreact'), 'typescript');
+        assert.strictEqual(highlighter.getHighlightLanguage('python'), 'python');
+        assert.strictEqual(highlighter.getHighlightLanguage('unknown-language'), null);
+    });
+
+    test('createPaletteFromTheme should use the most specific scope and ignore invalid colors', () => {
+        const palette = highlighter.createPaletteFromTheme({
+            colors: { 'editor.background': '#272822', 'editor.foreground': 'red;background:url(x)' },
+            tokenColors: [
+                { scope: 'entity.name', settings: { foreground: '#111111' } },
+                { scope: ['source.js entity.name.function', 'support.function'], settings: { foreground: '#a6e22e' } },
+                { scope: 'keyword, storage', settings: { foreground: '#f92672' } }
+            ]
+        }, highlighter.BUILT_IN_PALETTES.dark);
+        assert.strictEqual(palette.background, '#272822');
+        assert.strictEqual(palette.foreground, highlighter.BUILT_IN_PALETTES.dark.foreground);
+        assert.strictEqual(palette.tokens['title.function'], '#a6e22e');
+        assert.strictEqual(palette.tokens['title'], '#111111');
+        assert.strictEqual(palette.tokens['keyword'], '#f92672');
+        assert.strictEqual(palette.tokens['string'], highlighter.BUILT_IN_PALETTES.dark.tokens['string']);
+    });
+
+    test('parseJsonc should accept comments and trailing commas', () => {
+        const theme = highlighter.parseJsonc('{\n  // comment\n  "name": "a // b", /* block */\n  "colors": { "x": "#fff", },\n}');
+        assert.deepStrictEqual(theme, { name: 'a // b', colors: { x: '#fff' } });
+    });
+
+    test('parseJsonc should keep commas inside strings', () => {
+        const theme = highlighter.parseJsonc('{ "name": "foo,}", "tokenColors": [{ "scope": "a, ]", }, /* , */ ], }');
+        assert.deepStrictEqual(theme, { name: 'foo,}', tokenColors: [{ scope: 'a, ]' }] });
+    });
+});
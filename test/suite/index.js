@@ -35,4 +35,8 @@ function run() {
       }
     });
   });
-}
\ No newline at end of file
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const permalink = require('../../permalink');
+
+suite('Permalink Test Suite', () => {
+    const range = { filePath: 'src/app/main.js', startLine: 10, endLine: 20 };
+    const sha = '0123456789abcdef0123456789abcdef01234567';
+
+    test('parseRemoteUrl should handle https, ssh and scp-like remotes', () => {
+        assert.deepStrictEqual(permalink.parseRemoteUrl('https://github.com/org/repo.git'), { host: 'github.com', path: 'org/repo' });
+        assert.deepStrictEqual(permalink.parseRemoteUrl('git@github.com:org/repo.git'), { host: 'github.com', path: 'org/repo' });
+        assert.deepStrictEqual(permalink.parseRemoteUrl('ssh://git@gitlab.com/group/sub/repo.git'), { host: 'gitlab.com', path: 'group/sub/repo' });
+        assert.strictEqual(permalink.parseRemoteUrl(''), null);
+    });
+
+    test('GitHub permalinks should use blob and L-anchors', () => {
+        assert.strictEqual(
+            permalink.createPermalink({ remoteUrl: 'git@github.com:org/repo.git', ref: sha, ...range }),
+            `https://github.com/org/repo/blob/${sha}/src/app/main.js#L10-L20`
+        );
+        assert.strictEqual(
+            permalink.createPermalink({ remoteUrl: 'https://github.com/org/repo', ref: 'main', refType: 'branch', filePath: 'a b.js', startLine: 3, endLine: 3 }),
+            'https://github.com/org/repo/blob/main/a%20b.js#L3'
+        );
+    });
+
+    test('GitLab permalinks should keep subgroups and use the -/blob route', () => {
+        assert.strictEqual(
+            permalink.createPermalink({ remoteUrl: 'https://gitlab.com/group/sub/repo.git', ref: sha, ...range }),
+            `https://gitlab.com/group/sub/repo/-/blob/${sha}/src/app/main.js#L10-20`
+        );
+    });
+
+    test('Bitbucket permalinks should use src and lines- anchors', () => {
+        assert.strictEqual(
+            permalink.createPermalink({ remoteUrl: 'git@bitbucket.org:team/repo.git', ref: sha, ...range }),
+            `https://bitbucket.org/team/repo/src/${sha}/src/app/main.js#lines-10:20`
+        );
+    });
+
+    test('Azure DevOps permalinks should support https, ssh and visualstudio.com remotes', () => {
+        const expected = `https://dev.azure.com/org/My%20Project/_git/repo?path=%2Fsrc%2Fapp%2Fmain.js&version=GC${sha}` +
+            '&line=10&lineEnd=21&lineStartColumn=1&lineEndColumn=1&lineStyle=plain&_a=contents';
+        assert.strictEqual(permalink.createPermalink({ remoteUrl: 'https://org@dev.azure.com/org/My%20Project/_git/repo', ref: sha, ...range }), expected);
+        assert.strictEqual(permalink.createPermalink({ remoteUrl: 'git@ssh.dev.azure.com:v3/org/My%20Project/repo', ref: sha, ...range }), expected);
+        assert.strictEqual(permalink.createPermalink({ remoteUrl: 'https://org.visualstudio.com/My%20Project/_git/repo', ref: sha, ...range }), expected);
+    });
+
+    test('Azure DevOps branch links should use a GB version', () => {
+        const link = permalink.createPermalink({ remoteUrl: 'https://dev.azure.com/org/proj/_git/repo', ref: 'feature/x', refType: 'branch', ...range });
+        assert.ok(link.includes('&version=GBfeature%2Fx&'));
+    });
+
+    test('Unknown hosts should not produce a link', () => {
+        assert.strictEqual(permalink.createPermalink({ remoteUrl: 'https://example.com/org/repo.git', ref: sha, ...range }), null);
+    });
+});
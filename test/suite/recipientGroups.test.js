@@ -0,0 +1,28 @@
+const assert = require('assert');
+const recipientGroups = require('../../recipientGroups');
+
+suite('Recipient Groups Test Suite', () => {
+    test('normalizeGroups should drop invalid groups and duplicate members', () => {
+        const groups = recipientGroups.normalizeGroups([
+            { name: ' reviewers ', members: ['a@contoso.com', 'A@contoso.com', '', 'b@contoso.com'] },
+            { name: '', members: ['c@contoso.com'] },
+            { name: 'no-members' },
+            null
+        ]);
+        assert.deepStrictEqual(groups, [{ name: 'reviewers', members: ['a@contoso.com', 'b@contoso.com'] }]);
+    });
+
+    test('parseGroupsJson should accept exported files and plain arrays', () => {
+        const groups = [{ name: 'oncall', members: ['a@contoso.com'] }];
+        assert.deepStrictEqual(recipientGroups.parseGroupsJson(recipientGroups.serializeGroups(groups)), groups);
+        assert.deepStrictEqual(recipientGroups.parseGroupsJson(JSON.stringify(groups)), groups);
+        assert.throws(() => recipientGroups.parseGroupsJson('{}'), /No recipient groups found/);
+    });
+
+    test('expandGroups should reuse known recipients and add the rest as manual', () => {
+        const known = { id: '1', displayName: 'Ada Lovelace', email: 'ada@contoso.com' };
+        const expanded = recipientGroups.expandGroups([{ name: 'g', members: ['ADA@contoso.com', 'new@contoso.com'] }], [known]);
+        assert.strictEqual(expanded[0], known);
+        assert.deepStrictEqual(expanded[1], { id: 'manual-new@contoso.com', displayName: 'new@contoso.com', email: 'new@contoso.com', isManual: true });
+    });
+});
@@ -0,0 +1,41 @@
+const assert = require('assert');
+const recipientUsage = require('../../recipientUsage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+suite('Recipient Usage Test Suite', () => {
+    const now = Date.UTC(2024, 0, 31);
+    const recipients = [
+        { displayName: 'Ada Lovelace', email: 'ada@contoso.com' },
+        { displayName: 'Grace Hopper', email: 'Grace@contoso.com' },
+        { displayName: 'Alan Turing', email: 'alan@contoso.com' },
+        { displayName: 'Barbara Liskov', email: 'barbara@contoso.com' }
+    ];
+
+    test('rankRecipients should put used recipients first and sort the rest by name', () => {
+        const usage = {
+            'grace@contoso.com': { count: 1, lastUsed: now - DAY_MS },
+            'barbara@contoso.com': { count: 3, lastUsed: now - DAY_MS }
+        };
+        const ranked = recipientUsage.rankRecipients(recipients, usage, now).map(r => r.displayName);
+        assert.deepStrictEqual(ranked, ['Barbara Liskov', 'Grace Hopper', 'Ada Lovelace', 'Alan Turing']);
+    });
+
+    test('rankRecipients should let recent use outweigh old frequent use', () => {
+        const usage = {
+            'ada@contoso.com': { count: 4, lastUsed: now - 60 * DAY_MS },
+            'alan@contoso.com': { count: 1, lastUsed: now }
+        };
+        const ranked = recipientUsage.rankRecipients(recipients, usage, now).map(r => r.displayName);
+        assert.deepStrictEqual(ranked.slice(0, 2), ['Alan Turing', 'Ada Lovelace']);
+    });
+
+    test('getRecentEmails should return the most recently used emails', () => {
+        const usage = {
+            'ada@contoso.com': { count: 9, lastUsed: now - 3 * DAY_MS },
+            'alan@contoso.com': { count: 1, lastUsed: now },
+            'grace@contoso.com': { count: 2, lastUsed: now - DAY_MS }
+        };
+        assert.deepStrictEqual(recipientUsage.getRecentEmails(2, usage), ['alan@contoso.com', 'grace@contoso.com']);
+    });
+});
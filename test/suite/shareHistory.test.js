@@ -0,0 +1,66 @@
+const assert = require('assert');
+const shareHistory = require('../../shareHistory');
+
+suite('Share History Test Suite', () => {
+    const createContext = () => {
+        const state = new Map();
+        return {
+            subscriptions: [],
+            globalState: {
+                get: (key, defaultValue) => (state.has(key) ? state.get(key) : defaultValue),
+                update: async (key, value) => { state.set(key, value); }
+            }
+        };
+    };
+
+    const share = (name) => ({
+        target: { type: 'chat', chatId: `chat-${name}`, name },
+        snippet: { text: 'x', fileName: 'a.js', startLine: 1, endLine: 2 },
+        deliveryMode: 'graph',
+        webUrl: `https://teams.microsoft.com/l/message/${name}`
+    });
+
+    setup(() => {
+        shareHistory.initialize(createContext());
+    });
+
+    test('addEntry should store shares newest first', async () => {
+        await shareHistory.addEntry(share('first'));
+        await shareHistory.addEntry(share('second'));
+        const entries = shareHistory.getEntries();
+        assert.deepStrictEqual(entries.map(e => e.target.name), ['second', 'first']);
+        assert.strictEqual(entries[0].deliveryMode, 'graph');
+        assert.ok(entries[0].timestamp > 0);
+    });
+
+    test('addEntry should store where the snippet came from but not its code', async () => {
+        const entry = await shareHistory.addEntry({
+            ...share('first'),
+            snippet: { text: 'const secret = 1;', note: 'Look', mentions: [], fileName: 'a.js', documentUri: 'file:///a.js', startLine: 3, endLine: 4 }
+        });
+        assert.deepStrictEqual(shareHistory.getEntry(entry.id).snippet, { fileName: 'a.js', documentUri: 'file:///a.js', startLine: 3, endLine: 4 });
+        assert.ok(shareHistory.hasSource(entry));
+        assert.ok(!shareHistory.hasSource({ snippet: { fileName: 'a.js.diff', documentUri: 'file:///a.js' } }));
+    });
+
+    test('initialize should drop code stored by earlier versions', async () => {
+        const context = createContext();
+        await context.globalState.update('shareToTeams.history', [{ id: '1', target: {}, snippet: { text: 'x', fileName: 'a.js', startLine: 1, endLine: 1 } }]);
+        shareHistory.initialize(context);
+        assert.deepStrictEqual(shareHistory.getEntries()[0].snippet, { fileName: 'a.js', startLine: 1, endLine: 1 });
+    });
+
+    test('removeEntry and clearEntries should delete shares', async () => {
+        const entry = await shareHistory.addEntry(share('first'));
+        await shareHistory.addEntry(share('second'));
+        await shareHistory.removeEntry(entry.id);
+        assert.deepStrictEqual(shareHistory.getEntries().map(e => e.target.name), ['second']);
+        await shareHistory.clearEntries();
+        assert.deepStrictEqual(shareHistory.getEntries(), []);
+    });
+
+    test('getTargetName should list recipients of people targets', () => {
+        const target = { type: 'people', recipients: [{ displayName: 'Ada', email: 'ada@contoso.com' }, { email: 'bob@contoso.com' }] };
+        assert.strictEqual(shareHistory.getTargetName(target), 'Ada, bob@contoso.com');
+    });
+});
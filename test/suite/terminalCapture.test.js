@@ -0,0 +1,31 @@
+const assert = require('assert');
+const terminalCapture = require('../../terminalCapture');
+const formatting = require('../../formatting');
+
+suite('Terminal Capture Test Suite', () => {
+    test('stripAnsi should remove colors, shell integration marks and progress redraws', () => {
+        const raw = '\x1b]633;C\x07\x1b[31mFAIL\x1b[0m src/app.test.js\r\n[=>   ] 10%\r[=====] 100%\r\n\x1b[1;32m✓\x1b[22m done';
+        assert.strictEqual(terminalCapture.stripAnsi(raw), 'FAIL src/app.test.js\n[=====] 100%\n✓ done');
+    });
+
+    test('collapseRepeatedLines should collapse long runs but keep pairs and blank lines', () => {
+        const text = ['retrying', 'retrying', 'retrying', 'retrying', 'ok', 'ok', '', '', '', 'end'].join('\n');
+        assert.strictEqual(terminalCapture.collapseRepeatedLines(text),
+            ['retrying', '… (line repeated 3 more times)', 'ok', 'ok', '', '', '', 'end'].join('\n'));
+    });
+
+    test('cleanOutput should drop trailing blank lines', () => {
+        assert.strictEqual(terminalCapture.cleanOutput('\x1b[33mwarn\x1b[0m\r\n\r\n'), 'warn');
+    });
+
+    test('buildShareMessage should head terminal output with the command line and exit code', () => {
+        const config = { get: (key, fallback) => fallback };
+        const snippet = { text: 'Error: boom', languageId: null, terminal: { name: 'bash', commandLine: 'npm test', exitCode: 1 } };
+        const message = formatting.buildShareMessage(snippet, config);
+        assert.strictEqual(message.text, '`$ npm test` · exit code 1\n\n```\nError: boom\n```');
+        assert.strictEqual(message.content, '<p><code>$ npm test</code> · exit code 1</p><pre><code>Error: boom</code></pre>');
+
+        const selectionOnly = formatting.buildShareMessage({ ...snippet, terminal: { name: 'bash', commandLine: null, exitCode: null } }, config);
+        assert.ok(selectionOnly.content.startsWith('<p>Output of terminal "bash"</p>'));
+    });
+});